@@ -4,10 +4,17 @@ const express = require('express');
 const cors = require('cors');
 
 const adminRouter = require('./routes/admin');
+const { startJobs } = require('./jobs');
 
 const app = express();
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3007;
 
+// Behind a proxy/load balancer, set TRUST_PROXY (e.g. 1 or loopback) so req.ip is the client address.
+if (process.env.TRUST_PROXY) {
+  const v = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(v) ? Number(v) : v === 'true' ? true : v);
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -24,4 +31,5 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`ScrapCo admin backend listening on http://localhost:${PORT}`);
+  startJobs();
 });
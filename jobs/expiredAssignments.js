@@ -0,0 +1,106 @@
+const { createVendorServiceClient } = require('../supabase/client');
+const {
+  canTransitionPickup,
+  assignmentExpiresAt,
+  countActivePickupsByVendor,
+  getMaxActivePickupsPerVendor,
+  recordAssignment,
+  closeAssignment,
+} = require('../lib/pickups');
+const { rankVendorsByDistance } = require('../lib/geo');
+const { isVendorActive, vendorIneligibilityReason, loadAllVendors } = require('../lib/vendors');
+
+// Finds ASSIGNED pickups whose assignment_expires_at has passed and either returns them to
+// the pending pool (ASSIGNMENT_SWEEPER_ACTION=release, default) or hands them to the nearest
+// other vendor that may take it (active, within its service radius, accepts every scrap type on
+// the pickup) and has spare capacity (ASSIGNMENT_SWEEPER_ACTION=reassign). Pickups without
+// coordinates, or with no other vendor to try, are released.
+
+const BATCH_SIZE = 200;
+
+function getAction() {
+  const a = String(process.env.ASSIGNMENT_SWEEPER_ACTION || 'release').toLowerCase();
+  return a === 'reassign' ? 'reassign' : 'release';
+}
+
+async function loadVendors() {
+  const vendors = await loadAllVendors(createVendorServiceClient());
+  return vendors.filter(isVendorActive);
+}
+
+async function run(supabase) {
+  const now = new Date().toISOString();
+  const { data: expired, error } = await supabase
+    .from('pickups')
+    .select('id,status,latitude,longitude,assigned_vendor_ref,assignment_expires_at,pickup_items(scrap_type_id)')
+    .eq('status', 'ASSIGNED')
+    .lt('assignment_expires_at', now)
+    .order('assignment_expires_at', { ascending: true })
+    .limit(BATCH_SIZE);
+  if (error) throw error;
+  if (!expired || expired.length === 0) return { rowsTouched: 0 };
+
+  const action = getAction();
+  const vendors = action === 'reassign' ? await loadVendors() : [];
+  const activeByVendor = action === 'reassign' ? await countActivePickupsByVendor(supabase) : new Map();
+  const maxActive = getMaxActivePickupsPerVendor();
+
+  let rowsTouched = 0;
+  for (const p of expired) {
+    let patch = { status: 'PENDING', assigned_vendor_ref: null, assignment_expires_at: null, assigned_at: null };
+    if (action === 'reassign') {
+      const scrapTypeIds = Array.from(new Set((p.pickup_items || []).map((it) => it.scrap_type_id)));
+      const next = rankVendorsByDistance(vendors, p.latitude, p.longitude).find(
+        (r) =>
+          r.vendor.vendor_ref &&
+          r.vendor.vendor_ref !== p.assigned_vendor_ref &&
+          !vendorIneligibilityReason(r.vendor, r.distanceKm, scrapTypeIds) &&
+          (activeByVendor.get(r.vendor.vendor_ref) || 0) < maxActive
+      );
+      if (next) {
+        patch = {
+          status: 'ASSIGNED',
+          assigned_vendor_ref: next.vendor.vendor_ref,
+          assignment_expires_at: assignmentExpiresAt(),
+          assigned_at: new Date().toISOString(),
+        };
+      }
+    }
+    if (!canTransitionPickup(p.status, patch.status)) continue;
+
+    // Guard on the expiry we read so an admin reassigning meanwhile is not overwritten.
+    const { data: updated, error: updErr } = await supabase
+      .from('pickups')
+      .update(patch)
+      .eq('id', p.id)
+      .eq('status', 'ASSIGNED')
+      .eq('assignment_expires_at', p.assignment_expires_at)
+      .select('id')
+      .maybeSingle();
+    if (updErr) throw updErr;
+    if (!updated) continue;
+
+    rowsTouched += 1;
+    await closeAssignment(supabase, { pickupId: p.id, vendorRef: p.assigned_vendor_ref, outcome: 'expired' });
+    if (patch.assigned_vendor_ref) {
+      await recordAssignment(supabase, {
+        pickupId: p.id,
+        vendorRef: patch.assigned_vendor_ref,
+        assignedAt: patch.assigned_at,
+        expiresAt: patch.assignment_expires_at,
+        source: 'sweeper',
+      });
+      activeByVendor.set(patch.assigned_vendor_ref, (activeByVendor.get(patch.assigned_vendor_ref) || 0) + 1);
+    }
+  }
+
+  return { rowsTouched };
+}
+
+module.exports = {
+  name: 'expired-assignments',
+  description: 'Releases or reassigns ASSIGNED pickups whose assignment has expired',
+  envPrefix: 'ASSIGNMENT_SWEEPER',
+  defaultIntervalSeconds: 60,
+  run,
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const os = require('os');
+
+const { createCustomerServiceClient } = require('../supabase/client');
+const expiredAssignments = require('./expiredAssignments');
+
+// Background jobs run inside the Express process. Each run first takes a lease on the job's
+// row in `admin_jobs` (customer project), so with several instances only one runs at a time.
+// The same row records the last run, outcome and rows touched for GET /api/admin/jobs.
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const JOBS = [expiredAssignments];
+
+// Per-instance state, used when the admin_jobs table is unavailable.
+const localState = new Map();
+const timers = new Map();
+
+function envBool(name, fallback) {
+  const v = process.env[name];
+  if (v == null || String(v).trim() === '') return fallback;
+  return String(v).toLowerCase() === 'true';
+}
+
+function envSeconds(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function jobConfig(job) {
+  return {
+    enabled: envBool(`${job.envPrefix}_ENABLED`, false),
+    intervalSeconds: envSeconds(`${job.envPrefix}_INTERVAL_SECONDS`, job.defaultIntervalSeconds),
+  };
+}
+
+async function acquireLease(supabase, name, leaseSeconds) {
+  const now = new Date();
+  const { error: seedErr } = await supabase
+    .from('admin_jobs')
+    .upsert({ name }, { onConflict: 'name', ignoreDuplicates: true });
+  if (seedErr) throw seedErr;
+
+  const { data, error } = await supabase
+    .from('admin_jobs')
+    .update({
+      locked_by: INSTANCE_ID,
+      locked_until: new Date(now.getTime() + leaseSeconds * 1000).toISOString(),
+      last_started_at: now.toISOString(),
+    })
+    .eq('name', name)
+    .or(`locked_until.is.null,locked_until.lt."${now.toISOString()}"`)
+    .select('name')
+    .maybeSingle();
+  if (error) throw error;
+  return Boolean(data);
+}
+
+async function releaseLease(supabase, name, result) {
+  const { error } = await supabase
+    .from('admin_jobs')
+    .update({
+      locked_by: null,
+      locked_until: null,
+      last_finished_at: new Date().toISOString(),
+      last_outcome: result.outcome,
+      last_error: result.error || null,
+      last_rows_touched: result.rowsTouched,
+    })
+    .eq('name', name)
+    .eq('locked_by', INSTANCE_ID);
+  if (error) throw error;
+}
+
+async function runJob(job) {
+  const startedAt = new Date().toISOString();
+  const { intervalSeconds } = jobConfig(job);
+  let supabase;
+  let leased = false;
+  let result;
+
+  try {
+    supabase = createCustomerServiceClient();
+    // The lease outlives one interval so a slow run is not picked up again mid-flight.
+    leased = await acquireLease(supabase, job.name, Math.max(intervalSeconds * 2, 60));
+    if (!leased) {
+      localState.set(job.name, { startedAt, finishedAt: new Date().toISOString(), outcome: 'skipped', rowsTouched: 0, error: null });
+      return;
+    }
+    const { rowsTouched } = await job.run(supabase);
+    result = { outcome: 'success', rowsTouched, error: null };
+  } catch (e) {
+    console.error(`Job ${job.name} failed`, e);
+    result = { outcome: 'failed', rowsTouched: 0, error: e?.message || String(e) };
+  }
+
+  localState.set(job.name, { startedAt, finishedAt: new Date().toISOString(), ...result });
+  if (!leased) return;
+
+  try {
+    await releaseLease(supabase, job.name, result);
+  } catch (e) {
+    console.error(`Job ${job.name} could not record its run`, e);
+  }
+}
+
+function startJobs() {
+  for (const job of JOBS) {
+    const { enabled, intervalSeconds } = jobConfig(job);
+    if (!enabled || timers.has(job.name)) continue;
+
+    let running = false;
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await runJob(job);
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, intervalSeconds * 1000);
+    timer.unref();
+    timers.set(job.name, timer);
+    console.log(`Job ${job.name} enabled (every ${intervalSeconds}s)`);
+  }
+}
+
+function stopJobs() {
+  for (const timer of timers.values()) clearInterval(timer);
+  timers.clear();
+}
+
+async function getJobStatuses() {
+  let rowsByName = new Map();
+  let sharedStateError = null;
+  try {
+    const supabase = createCustomerServiceClient();
+    const { data, error } = await supabase.from('admin_jobs').select('*');
+    if (error) sharedStateError = error.message;
+    else rowsByName = new Map((data || []).map((r) => [r.name, r]));
+  } catch (e) {
+    sharedStateError = e?.message || 'Could not read admin_jobs';
+  }
+
+  const jobs = JOBS.map((job) => {
+    const { enabled, intervalSeconds } = jobConfig(job);
+    const row = rowsByName.get(job.name) || null;
+    const local = localState.get(job.name) || null;
+    return {
+      name: job.name,
+      description: job.description,
+      enabled,
+      intervalSeconds,
+      running: Boolean(row?.locked_until && new Date(row.locked_until) > new Date()),
+      runningOn: row?.locked_by ?? null,
+      lastStartedAt: row?.last_started_at ?? null,
+      lastFinishedAt: row?.last_finished_at ?? null,
+      lastOutcome: row?.last_outcome ?? null,
+      lastError: row?.last_error ?? null,
+      lastRowsTouched: row?.last_rows_touched ?? null,
+      thisInstance: local,
+    };
+  });
+
+  return { instanceId: INSTANCE_ID, jobs, sharedStateError };
+}
+
+module.exports = { startJobs, stopJobs, getJobStatuses };
@@ -0,0 +1,52 @@
+const { createAuthServiceClient } = require('../supabase/client');
+
+// Admin audit log (admin auth project, admin_audit_log). Every mutating admin route records who
+// changed what, with the row before and after. Entries are append-only.
+
+// Keys never copied into audit entries.
+const REDACTED_KEYS = new Set(['password', 'currentPassword', 'token', 'confirmToken']);
+
+function redact(value) {
+  if (value == null || typeof value !== 'object') return value ?? null;
+  if (Array.isArray(value)) return value.map(redact);
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = REDACTED_KEYS.has(k) ? '[redacted]' : redact(v);
+  return out;
+}
+
+// The client address as Express sees it (set TRUST_PROXY behind a load balancer).
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+// The admin_audit_log row for an entry (also passed to set_admin_role, which writes it itself).
+function auditRow(admin, { action, entity, entityId, before, after }) {
+  return {
+    actor_id: admin.userId,
+    actor_role: admin.role ?? null,
+    action,
+    entity,
+    entity_id: entityId == null ? null : String(entityId),
+    before: redact(before),
+    after: redact(after),
+    ip: admin.ip ?? null,
+    user_agent: admin.userAgent ?? null,
+  };
+}
+
+// admin: the object returned by requireAdmin. entry: { action, entity, entityId, before, after }.
+// By default an audit failure is logged but never undoes or fails the change it describes. With
+// `required` it throws instead: callers write such entries before making the change, so a change
+// is refused rather than made without a record.
+async function recordAudit(admin, entry, { required = false } = {}) {
+  try {
+    const supabase = createAuthServiceClient();
+    const { error } = await supabase.from('admin_audit_log').insert([auditRow(admin, entry)]);
+    if (error) throw error;
+  } catch (e) {
+    console.error('Could not write audit entry', entry.action, e);
+    if (required) throw new Error('Could not write the audit entry; nothing was changed');
+  }
+}
+
+module.exports = { clientIp, auditRow, recordAudit };
@@ -0,0 +1,72 @@
+// Minimal RFC 4180 CSV helpers (quoted fields, embedded commas/quotes/newlines, CRLF).
+
+// Cells starting with these are treated as formulas by spreadsheet apps.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value == null) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+// columns: [{ header, value: (row) => any }]
+function toCsv(rows, columns) {
+  let out = csvLine(columns.map((c) => c.header));
+  for (const row of rows) out += csvLine(columns.map((c) => c.value(row)));
+  return out;
+}
+
+// Returns [{ line, values: [...] }] with 1-based source line numbers; blank lines are skipped.
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    if (values.length > 1 || values[0].trim() !== '') records.push({ line: recordLine, values });
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line += 1;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') inQuotes = true;
+    else if (ch === ',') {
+      values.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else field += ch;
+  }
+  if (field !== '' || values.length > 0) endRecord();
+
+  return records;
+}
+
+module.exports = { csvCell, csvLine, toCsv, parseCsv };
@@ -0,0 +1,25 @@
+// Keyset pagination cursors over (created_at, id), newest first: an opaque base64url token that
+// GET endpoints hand out as nextCursor and take back as ?cursor=.
+
+// created_at as PostgREST returns it. The value goes into quoted or() filters, so anything the Date
+// parser merely tolerates is refused; it is not re-serialised, which would drop the microseconds.
+const CURSOR_TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({ createdAt: row.created_at, id: row.id })).toString('base64url');
+}
+
+// { createdAt, id } or null when the token is malformed.
+function decodeCursor(input) {
+  try {
+    const c = JSON.parse(Buffer.from(String(input), 'base64url').toString('utf8'));
+    if (!c || !CURSOR_TIMESTAMP_RE.test(String(c.createdAt ?? ''))) return null;
+    if (Number.isNaN(new Date(c.createdAt).getTime())) return null;
+    if (!/^[A-Za-z0-9-]+$/.test(String(c.id ?? ''))) return null;
+    return { createdAt: String(c.createdAt), id: String(c.id) };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { encodeCursor, decodeCursor };
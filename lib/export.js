@@ -0,0 +1,84 @@
+const ExcelJS = require('exceljs');
+
+const { csvLine } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+function waitForDrain(res) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Client closed the connection'));
+    };
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+// Streams rows to `res` as CSV or XLSX without holding the whole export in memory.
+// columns: [{ header, value: (row) => any }]. Call writeRows() per page, then end().
+// Nothing is sent until the first writeRows() or end(), so a failure while loading the first page
+// can still be answered with a JSON error.
+function createTableWriter(res, { format, filename, columns, sheetName = 'Export' }) {
+  let output = null;
+
+  function start() {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet(sheetName);
+      sheet.columns = columns.map((c) => ({ header: c.header, key: c.header }));
+
+      return {
+        async writeRows(rows) {
+          for (const row of rows) sheet.addRow(columns.map((c) => c.value(row) ?? null)).commit();
+          // Committed rows reach res through the zip stream asynchronously and ExcelJS ignores
+          // backpressure, so let them flow and wait while res is full before the next page.
+          await new Promise((resolve) => setImmediate(resolve));
+          while (res.writableNeedDrain) await waitForDrain(res);
+        },
+        async end() {
+          sheet.commit();
+          await workbook.commit();
+        },
+      };
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write(csvLine(columns.map((c) => c.header)));
+
+    return {
+      async writeRows(rows) {
+        for (const row of rows) {
+          if (!res.write(csvLine(columns.map((c) => c.value(row))))) await waitForDrain(res);
+        }
+      },
+      async end() {
+        res.end();
+      },
+    };
+  }
+
+  return {
+    async writeRows(rows) {
+      if (!output) output = start();
+      await output.writeRows(rows);
+    },
+    async end() {
+      if (!output) output = start();
+      await output.end();
+    },
+  };
+}
+
+module.exports = { EXPORT_FORMATS, createTableWriter };
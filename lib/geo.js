@@ -0,0 +1,41 @@
+const EARTH_RADIUS_KM = 6371;
+
+function toFiniteNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// vendor_backends rows carry either latitude/longitude or last_latitude/last_longitude.
+function vendorCoordinates(v) {
+  const latitude = toFiniteNumber(v?.latitude ?? v?.last_latitude);
+  const longitude = toFiniteNumber(v?.longitude ?? v?.last_longitude);
+  if (latitude == null || longitude == null) return null;
+  return { latitude, longitude };
+}
+
+// Vendors with known coordinates, nearest first, each with a `distanceKm`.
+function rankVendorsByDistance(vendors, latitude, longitude) {
+  const lat = toFiniteNumber(latitude);
+  const lon = toFiniteNumber(longitude);
+  if (lat == null || lon == null) return [];
+
+  return (vendors || [])
+    .map((v) => {
+      const c = vendorCoordinates(v);
+      if (!c) return null;
+      return { vendor: v, distanceKm: haversineKm(lat, lon, c.latitude, c.longitude) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+module.exports = { haversineKm, vendorCoordinates, rankVendorsByDistance, toFiniteNumber };
@@ -0,0 +1,179 @@
+const { haversineKm, toFiniteNumber } = require('./geo');
+const { selectAllRows } = require('./supabasePaging');
+
+// Godown fill levels and capacity alerts (vendor project: godowns, godown_stock, alerts).
+// Fill is measured in kg: stock of scrap types sold per piece or litre has no weight and is
+// reported separately without counting towards capacity.
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const GODOWN_CAPACITY_ALERT = 'godown_over_capacity';
+
+// Fill percentage above which a godown raises an alert, unless the godown sets its own.
+function getGodownAlertThresholdPercent() {
+  const n = Number(process.env.GODOWN_ALERT_THRESHOLD_PERCENT);
+  return Number.isFinite(n) && n > 0 ? n : 85;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Fill summary of one godown from its godown_stock rows.
+function summarizeGodownFill(godown, stockRows) {
+  const capacityKg = toFiniteNumber(godown?.capacity_kg);
+  const thresholdPercent = toFiniteNumber(godown?.alert_threshold_percent) ?? getGodownAlertThresholdPercent();
+
+  let stockKg = 0;
+  const byScrapType = [];
+  for (const row of stockRows || []) {
+    const quantity = toFiniteNumber(row.quantity) ?? 0;
+    const isKg = (row.unit || 'kg') === 'kg';
+    if (isKg) stockKg += quantity;
+    byScrapType.push({
+      scrapTypeId: row.scrap_type_id,
+      scrapTypeName: row.scrap_type_name ?? null,
+      unit: row.unit || 'kg',
+      quantity: round2(quantity),
+      fillPercent: isKg && capacityKg ? round2((quantity / capacityKg) * 100) : null,
+    });
+  }
+  byScrapType.sort((a, b) => (b.fillPercent ?? -1) - (a.fillPercent ?? -1));
+
+  const fillPercent = capacityKg ? round2((stockKg / capacityKg) * 100) : null;
+  return {
+    godownId: godown.id,
+    name: godown.name ?? null,
+    isActive: godown.is_active !== false,
+    capacityKg,
+    stockKg: round2(stockKg),
+    spareKg: capacityKg ? round2(Math.max(0, capacityKg - stockKg)) : null,
+    fillPercent,
+    thresholdPercent,
+    overThreshold: fillPercent != null && fillPercent >= thresholdPercent,
+    byScrapType,
+  };
+}
+
+// godowns rows, all of them when ids is omitted.
+function loadGodowns(supabase, ids) {
+  return selectAllRows(() => {
+    const q = supabase.from('godowns').select('*').order('id', { ascending: true });
+    return ids ? q.in('id', ids) : q;
+  });
+}
+
+// godown_stock rows (one per godown, scrap type and unit), all godowns when ids is omitted.
+function loadGodownStock(supabase, ids) {
+  return selectAllRows(() => {
+    const q = supabase
+      .from('godown_stock')
+      .select('*')
+      .order('godown_id', { ascending: true })
+      .order('scrap_type_id', { ascending: true })
+      .order('unit', { ascending: true });
+    return ids ? q.in('godown_id', ids) : q;
+  });
+}
+
+// Fill summaries for the given godowns (all godowns when ids is omitted), keyed by godown id.
+async function loadGodownFills(supabase, ids) {
+  const [godowns, stock] = await Promise.all([loadGodowns(supabase, ids), loadGodownStock(supabase, ids)]);
+
+  const stockByGodown = new Map();
+  for (const row of stock) {
+    if (!stockByGodown.has(row.godown_id)) stockByGodown.set(row.godown_id, []);
+    stockByGodown.get(row.godown_id).push(row);
+  }
+  return new Map(godowns.map((g) => [g.id, { godown: g, fill: summarizeGodownFill(g, stockByGodown.get(g.id)) }]));
+}
+
+// Opens an alert when a godown is at or above its threshold and resolves open ones once it drops
+// below. At most one unresolved capacity alert exists per godown (enforced by a unique index), and
+// an unresolved alert keeps the latest fill figures. Best-effort: failures are logged only.
+async function refreshGodownAlert(supabase, fill) {
+  try {
+    const now = new Date().toISOString();
+    const figures = {
+      fill_percent: fill.fillPercent,
+      threshold_percent: fill.thresholdPercent,
+      stock_kg: fill.stockKg,
+      capacity_kg: fill.capacityKg,
+    };
+
+    if (!fill.overThreshold || !fill.isActive) {
+      const { error } = await supabase
+        .from('alerts')
+        .update({ status: 'resolved', resolved_at: now, ...figures })
+        .eq('type', GODOWN_CAPACITY_ALERT)
+        .eq('godown_id', fill.godownId)
+        .neq('status', 'resolved');
+      if (error) console.error('Could not resolve godown alert', error);
+      return;
+    }
+
+    const { data: updated, error: updErr } = await supabase
+      .from('alerts')
+      .update(figures)
+      .eq('type', GODOWN_CAPACITY_ALERT)
+      .eq('godown_id', fill.godownId)
+      .neq('status', 'resolved')
+      .select('id');
+    if (updErr) throw updErr;
+    if ((updated || []).length > 0) return;
+
+    const { error: insErr } = await supabase.from('alerts').insert([
+      {
+        type: GODOWN_CAPACITY_ALERT,
+        godown_id: fill.godownId,
+        status: 'open',
+        message: `${fill.name || 'Godown'} is ${fill.fillPercent}% full (threshold ${fill.thresholdPercent}%)`,
+        ...figures,
+      },
+    ]);
+    // A concurrent movement may have opened the same alert first.
+    if (insErr && !/duplicate key value/i.test(insErr.message || '')) throw insErr;
+  } catch (e) {
+    console.error('Could not refresh godown alert', e);
+  }
+}
+
+// Active godowns with coordinates that can take `neededKg` more without going over their
+// threshold, nearest first. Godowns without a capacity are never suggested.
+function rankGodownsForDelivery(fills, latitude, longitude, neededKg) {
+  const lat = toFiniteNumber(latitude);
+  const lon = toFiniteNumber(longitude);
+  if (lat == null || lon == null) return [];
+
+  return Array.from(fills.values())
+    .map(({ godown, fill }) => {
+      const gLat = toFiniteNumber(godown.latitude);
+      const gLon = toFiniteNumber(godown.longitude);
+      if (!fill.isActive || fill.capacityKg == null || gLat == null || gLon == null) return null;
+      const fillAfterPercent = round2(((fill.stockKg + neededKg) / fill.capacityKg) * 100);
+      if (fillAfterPercent > fill.thresholdPercent) return null;
+      return {
+        godownId: godown.id,
+        name: godown.name ?? null,
+        address: godown.address ?? null,
+        distanceKm: round2(haversineKm(lat, lon, gLat, gLon)),
+        spareKg: fill.spareKg,
+        fillPercent: fill.fillPercent,
+        fillAfterPercent,
+        thresholdPercent: fill.thresholdPercent,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+module.exports = {
+  ALERT_STATUSES,
+  GODOWN_CAPACITY_ALERT,
+  getGodownAlertThresholdPercent,
+  summarizeGodownFill,
+  loadGodowns,
+  loadGodownStock,
+  loadGodownFills,
+  refreshGodownAlert,
+  rankGodownsForDelivery,
+};
@@ -0,0 +1,98 @@
+// Admin roles (auth project profiles.role) and what each may do. Every admin route asks for one
+// permission; GET /api/admin/me returns the caller's list so the panel can hide the rest.
+
+const PERMISSIONS = [
+  'dashboard.view',
+  'system.view',
+  'audit.view',
+  'pickups.view',
+  'pickups.manage',
+  'customers.view',
+  'vendors.view',
+  'vendors.manage',
+  'godowns.view',
+  'godowns.manage',
+  'alerts.view',
+  'alerts.manage',
+  'rates.view',
+  'rates.manage',
+  'rates.approve',
+  'settlements.view',
+  'settlements.manage',
+  'settlements.approve',
+  'content.manage',
+  'users.view',
+  'users.manage',
+  'exports.run',
+];
+
+const ROLE_PERMISSIONS = {
+  super_admin: PERMISSIONS,
+  ops: [
+    'dashboard.view',
+    'system.view',
+    'pickups.view',
+    'pickups.manage',
+    'customers.view',
+    'vendors.view',
+    'vendors.manage',
+    'godowns.view',
+    'godowns.manage',
+    'alerts.view',
+    'alerts.manage',
+    'rates.view',
+    'exports.run',
+  ],
+  finance: [
+    'dashboard.view',
+    'pickups.view',
+    'customers.view',
+    'vendors.view',
+    'godowns.view',
+    'rates.view',
+    'rates.manage',
+    'rates.approve',
+    'settlements.view',
+    'settlements.manage',
+    'settlements.approve',
+    'exports.run',
+  ],
+  content_editor: ['content.manage'],
+  support: ['pickups.view', 'customers.view', 'vendors.view', 'rates.view', 'users.view'],
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Profiles from before the role model say 'admin'; they keep full access.
+const LEGACY_ROLE_ALIASES = { admin: 'super_admin' };
+
+// The admin role for a profiles.role value, or null if it grants no admin access.
+function normalizeRole(role) {
+  const r = String(role || '').trim().toLowerCase();
+  const resolved = LEGACY_ROLE_ALIASES[r] || r;
+  return ADMIN_ROLES.includes(resolved) ? resolved : null;
+}
+
+function permissionsForRole(role) {
+  const r = normalizeRole(role);
+  return r ? ROLE_PERMISSIONS[r].slice() : [];
+}
+
+function roleHasPermission(role, permission) {
+  return permissionsForRole(role).includes(permission);
+}
+
+// Roles that can hand out roles themselves. Granting one needs extra confirmation.
+function isAdminLevelRole(role) {
+  return roleHasPermission(role, 'users.manage');
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  normalizeRole,
+  permissionsForRole,
+  roleHasPermission,
+  isAdminLevelRole,
+};
@@ -0,0 +1,85 @@
+// Pickup lifecycle rules shared by the admin routes and background jobs.
+
+// Allowed pickup status transitions.
+// - ASSIGNED -> ASSIGNED / ON_THE_WAY -> ASSIGNED is a reassignment.
+// - ASSIGNED -> PENDING returns an expired assignment to the pending pool.
+const PICKUP_TRANSITIONS = {
+  PENDING: ['ASSIGNED', 'CANCELLED'],
+  ASSIGNED: ['ASSIGNED', 'ON_THE_WAY', 'PENDING', 'CANCELLED'],
+  ON_THE_WAY: ['ASSIGNED', 'COMPLETED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: [],
+};
+
+function canTransitionPickup(from, to) {
+  const allowed = PICKUP_TRANSITIONS[String(from || '').toUpperCase()] || [];
+  return allowed.includes(to);
+}
+
+function getAssignmentTtlMinutes() {
+  const n = Number(process.env.PICKUP_ASSIGNMENT_TTL_MINUTES);
+  return Number.isFinite(n) && n > 0 ? n : 30;
+}
+
+function assignmentExpiresAt(minutes = getAssignmentTtlMinutes()) {
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
+// Statuses in which a pickup still occupies the assigned vendor (also in the vendor_active_pickups view).
+const ACTIVE_PICKUP_STATUSES = ['ASSIGNED', 'ON_THE_WAY'];
+
+function getMaxActivePickupsPerVendor() {
+  const n = Number(process.env.VENDOR_MAX_ACTIVE_PICKUPS);
+  return Number.isFinite(n) && n > 0 ? n : 5;
+}
+
+// Map of vendor_ref -> number of ASSIGNED / ON_THE_WAY pickups (customer project client).
+// Counted by the vendor_active_pickups view, one row per vendor.
+async function countActivePickupsByVendor(supabase) {
+  const { data, error } = await supabase.from('vendor_active_pickups').select('vendor_ref,active_pickups');
+  if (error) throw error;
+
+  const counts = new Map();
+  for (const r of data || []) counts.set(r.vendor_ref, Number(r.active_pickups) || 0);
+  return counts;
+}
+
+// pickup_assignments is a log of every (re)assignment made by this backend, so a vendor's
+// scorecard still counts assignments that expired or were moved to someone else.
+// Logging is best-effort: a failure never undoes the pickup change itself.
+async function recordAssignment(supabase, { pickupId, vendorRef, assignedAt, expiresAt, source }) {
+  const { error } = await supabase.from('pickup_assignments').insert([
+    {
+      pickup_id: pickupId,
+      vendor_ref: vendorRef,
+      assigned_at: assignedAt,
+      expires_at: expiresAt,
+      source,
+    },
+  ]);
+  if (error) console.error('Could not log pickup assignment', error);
+}
+
+// Closes the open log row of a vendor's assignment with an outcome (expired, reassigned, cancelled, completed).
+async function closeAssignment(supabase, { pickupId, vendorRef, outcome }) {
+  if (!vendorRef) return;
+  const { error } = await supabase
+    .from('pickup_assignments')
+    .update({ ended_at: new Date().toISOString(), outcome })
+    .eq('pickup_id', pickupId)
+    .eq('vendor_ref', vendorRef)
+    .is('ended_at', null);
+  if (error) console.error('Could not close pickup assignment', error);
+}
+
+module.exports = {
+  PICKUP_TRANSITIONS,
+  ACTIVE_PICKUP_STATUSES,
+  canTransitionPickup,
+  getAssignmentTtlMinutes,
+  assignmentExpiresAt,
+  getMaxActivePickupsPerVendor,
+  countActivePickupsByVendor,
+  recordAssignment,
+  closeAssignment,
+};
@@ -0,0 +1,46 @@
+// Point-in-time scrap rates (customer project, scrap_rates). A rate without effective_from predates
+// scheduling and has been in force since the beginning.
+
+// All rate rows (active or not) per scrap type, oldest first (undated rows first), for point-in-time lookups.
+async function getRateHistoryByType(supabase, scrapTypeIds) {
+  const ids = Array.from(new Set((scrapTypeIds || []).filter(Boolean)));
+  const history = new Map();
+  if (ids.length === 0) return history;
+
+  const pageSize = 1000;
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase
+      .from('scrap_rates')
+      .select('id,scrap_type_id,rate_per_kg,effective_from,is_active')
+      .in('scrap_type_id', ids)
+      .order('effective_from', { ascending: true, nullsFirst: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+    if (error) throw error;
+
+    for (const r of data || []) {
+      if (!history.has(r.scrap_type_id)) history.set(r.scrap_type_id, []);
+      history.get(r.scrap_type_id).push(r);
+    }
+    if (!data || data.length < pageSize) return history;
+  }
+}
+
+function rateStart(r) {
+  return r.effective_from ? new Date(r.effective_from).getTime() : 0;
+}
+
+// The rate row that was in force for a scrap type at `at` (latest effective_from <= at). Does not
+// depend on row order; of rows starting at the same time the later one in the list wins.
+function rateInForceAt(history, scrapTypeId, at) {
+  const rows = history.get(scrapTypeId) || [];
+  const t = at ? new Date(at).getTime() : Date.now();
+  let found = null;
+  for (const r of rows) {
+    const from = rateStart(r);
+    if (from <= t && (!found || from >= rateStart(found))) found = r;
+  }
+  return found;
+}
+
+module.exports = { getRateHistoryByType, rateInForceAt };
@@ -0,0 +1,98 @@
+const PDFDocument = require('pdfkit');
+
+// Pickup receipts (GET /api/admin/pickups/:id/receipt.pdf). The receipt content is stored when the
+// number is issued, so a reprint shows exactly what the first copy showed.
+
+function formatReceiptNumber(n) {
+  const prefix = process.env.RECEIPT_NUMBER_PREFIX || 'SC-';
+  return `${prefix}${String(n).padStart(6, '0')}`;
+}
+
+// The standard PDF fonts have no rupee sign.
+function formatInr(n) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return '-';
+  return `Rs. ${v.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatQuantity(n, unit) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return '-';
+  return `${v.toLocaleString('en-IN', { maximumFractionDigits: 3 })} ${unit || 'kg'}`;
+}
+
+function formatDate(iso) {
+  if (!iso) return '-';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '-';
+  return d.toLocaleString('en-IN', { timeZone: process.env.RECEIPT_TIME_ZONE || 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+}
+
+const COLUMNS = [
+  { label: 'Item', width: 200, align: 'left', value: (it) => it.scrapTypeName || '-' },
+  { label: 'Quantity', width: 95, align: 'right', value: (it) => formatQuantity(it.quantity, it.unit) },
+  { label: 'Rate', width: 100, align: 'right', value: (it) => (it.rateInr == null ? '-' : `${formatInr(it.rateInr)}/${it.unit || 'kg'}`) },
+  { label: 'Amount', width: 100, align: 'right', value: (it) => formatInr(it.amountInr) },
+];
+
+function drawRow(doc, values, { bold = false } = {}) {
+  const y = doc.y;
+  let x = doc.page.margins.left;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  let height = 0;
+  COLUMNS.forEach((c, i) => {
+    doc.text(values[i], x, y, { width: c.width, align: c.align });
+    height = Math.max(height, doc.y - y);
+    x += c.width + 5;
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = y + height + 4;
+}
+
+// receipt: { receiptNumber, issuedAt, pickup: { id, address, completedAt }, customer: { name, phone },
+// items: [{ scrapTypeName, unit, quantity, rateInr, amountInr }], totals: { weightKg, amountInr } }
+// Resolves with the PDF as a Buffer.
+function renderReceiptPdf(receipt) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${receipt.receiptNumber}` } });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const company = process.env.RECEIPT_COMPANY_NAME || 'ScrapCo';
+    doc.font('Helvetica-Bold').fontSize(18).text(company);
+    doc.font('Helvetica').fontSize(9);
+    if (process.env.RECEIPT_COMPANY_ADDRESS) doc.text(process.env.RECEIPT_COMPANY_ADDRESS);
+    if (process.env.RECEIPT_GSTIN) doc.text(`GSTIN: ${process.env.RECEIPT_GSTIN}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(14).text('Pickup receipt');
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Receipt no.: ${receipt.receiptNumber}`);
+    doc.text(`Issued: ${formatDate(receipt.issuedAt)}`);
+    doc.text(`Pickup: ${receipt.pickup?.id || '-'}`);
+    doc.text(`Collected: ${formatDate(receipt.pickup?.completedAt)}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('Customer');
+    doc.font('Helvetica');
+    doc.text(receipt.customer?.name || '-');
+    if (receipt.customer?.phone) doc.text(receipt.customer.phone);
+    if (receipt.pickup?.address) doc.text(receipt.pickup.address);
+    doc.moveDown();
+
+    drawRow(doc, COLUMNS.map((c) => c.label), { bold: true });
+    for (const it of receipt.items || []) drawRow(doc, COLUMNS.map((c) => c.value(it)));
+    doc.moveDown(0.5);
+    drawRow(doc, ['Total', formatQuantity(receipt.totals?.weightKg, 'kg'), '', formatInr(receipt.totals?.amountInr)], { bold: true });
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555');
+    doc.text('Quantities are as weighed at collection. Amounts use the rates in force when the pickup was completed.');
+
+    doc.end();
+  });
+}
+
+module.exports = { formatReceiptNumber, renderReceiptPdf };
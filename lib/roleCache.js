@@ -0,0 +1,43 @@
+const { createAuthServiceClient } = require('../supabase/client');
+
+// Short-lived, per-instance cache of the profile fields requireAdmin needs (admin auth project
+// profiles: role, sessions_revoked_at), so it does not look them up on every request. Changes made
+// through this instance clear the entry at once; other instances pick them up when it expires.
+
+const cache = new Map();
+let client = null;
+
+function getRoleCacheSeconds() {
+  const n = Number(process.env.ADMIN_ROLE_CACHE_SECONDS);
+  return Number.isFinite(n) && n >= 0 ? n : 30;
+}
+
+function getClient() {
+  if (!client) client = createAuthServiceClient();
+  return client;
+}
+
+// { role, sessionsRevokedAt } of a user: the raw profiles.role (null if none) and the time before
+// which their tokens are no longer accepted (null if never revoked). Throws if the lookup fails.
+async function getAdminProfile(userId) {
+  const hit = cache.get(userId);
+  if (hit && hit.expiresAt > Date.now()) return hit.profile;
+
+  const { data, error } = await getClient()
+    .from('profiles')
+    .select('role, sessions_revoked_at')
+    .eq('id', userId)
+    .maybeSingle();
+  if (error) throw error;
+
+  const profile = { role: data?.role ?? null, sessionsRevokedAt: data?.sessions_revoked_at ?? null };
+  const ttlMs = getRoleCacheSeconds() * 1000;
+  if (ttlMs > 0) cache.set(userId, { profile, expiresAt: Date.now() + ttlMs });
+  return profile;
+}
+
+function invalidateAdminProfile(userId) {
+  cache.delete(userId);
+}
+
+module.exports = { getAdminProfile, invalidateAdminProfile };
@@ -0,0 +1,14 @@
+// Paging helpers for Supabase/PostgREST reads, which cap a single response at the API's max-rows.
+
+// Every row of a query, a page at a time. buildQuery must return a fresh, fully ordered query on each call.
+async function selectAllRows(buildQuery, pageSize = 1000) {
+  const rows = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await buildQuery().range(offset, offset + pageSize - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return rows;
+  }
+}
+
+module.exports = { selectAllRows };
@@ -0,0 +1,33 @@
+const { selectAllRows } = require('./supabasePaging');
+
+// Vendor rules shared by the admin routes and background jobs (vendor project, vendor_backends).
+
+const VENDOR_STATUSES = ['active', 'suspended'];
+
+// Suspended vendors must never receive assignments. Rows from before the status column are active.
+function isVendorActive(v) {
+  return String(v?.status || 'active').toLowerCase() !== 'suspended';
+}
+
+// Whether a vendor has declared it takes a scrap type. An empty/missing list means "all types".
+function vendorAcceptsScrapType(v, scrapTypeId) {
+  const accepted = Array.isArray(v?.accepted_scrap_type_ids) ? v.accepted_scrap_type_ids : [];
+  return accepted.length === 0 || accepted.map(String).includes(String(scrapTypeId));
+}
+
+// Why a vendor `distanceKm` away cannot take a pickup of these scrap types, or null if it can.
+// Capacity (active pickups) is left to the caller.
+function vendorIneligibilityReason(v, distanceKm, scrapTypeIds) {
+  if (!isVendorActive(v)) return 'suspended';
+  const radius = Number(v?.service_radius_km);
+  if (Number.isFinite(radius) && radius > 0 && distanceKm > radius) return 'outside_service_radius';
+  if (!(scrapTypeIds || []).every((typeId) => vendorAcceptsScrapType(v, typeId))) return 'scrap_type_not_accepted';
+  return null;
+}
+
+// Every vendor_backends row, read a page at a time so no vendor is dropped past the max-rows cap.
+function loadAllVendors(vendorDb) {
+  return selectAllRows(() => vendorDb.from('vendor_backends').select('*').order('vendor_ref', { ascending: true }));
+}
+
+module.exports = { VENDOR_STATUSES, isVendorActive, vendorAcceptsScrapType, vendorIneligibilityReason, loadAllVendors };
@@ -1,13 +1,43 @@
+const crypto = require('crypto');
 const express = require('express');
 
 const {
-	createAnonClientWithJwt,
+	createAuthAnonClient,
 	createAuthServiceClient,
 	createCustomerServiceClient,
 	createVendorServiceClient,
 	createServiceClient,
 } = require('../supabase/client');
-const { getBearerToken } = require('../supabase/auth');
+const { getBearerToken, verifyAccessToken } = require('../supabase/auth');
+const { getAdminProfile, invalidateAdminProfile } = require('../lib/roleCache');
+const {
+	canTransitionPickup,
+	getAssignmentTtlMinutes,
+	assignmentExpiresAt,
+	countActivePickupsByVendor,
+	getMaxActivePickupsPerVendor,
+	recordAssignment,
+	closeAssignment,
+} = require('../lib/pickups');
+const { rankVendorsByDistance, vendorCoordinates } = require('../lib/geo');
+const { parseCsv, toCsv } = require('../lib/csv');
+const { getRateHistoryByType, rateInForceAt } = require('../lib/rates');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { VENDOR_STATUSES, isVendorActive, vendorIneligibilityReason, loadAllVendors } = require('../lib/vendors');
+const { EXPORT_FORMATS, createTableWriter } = require('../lib/export');
+const {
+	ALERT_STATUSES,
+	summarizeGodownFill,
+	loadGodowns,
+	loadGodownStock,
+	loadGodownFills,
+	refreshGodownAlert,
+	rankGodownsForDelivery,
+} = require('../lib/godowns');
+const { formatReceiptNumber, renderReceiptPdf } = require('../lib/receipt');
+const { ADMIN_ROLES, normalizeRole, permissionsForRole, isAdminLevelRole } = require('../lib/permissions');
+const { clientIp, auditRow, recordAudit } = require('../lib/audit');
+const { getJobStatuses } = require('../jobs');
 
 const router = express.Router();
 
@@ -26,7 +56,10 @@ function requireAdminEnabled(req, res) {
 	return false;
 }
 
-async function requireAdmin(req, res) {
+// Resolves the caller's admin role and checks `permission` (a name or a list that must all be held;
+// omit it for routes any admin role may use). Sends 401/403 and returns null when the check fails,
+// else { userId, role, permissions, ip, userAgent } (the latter two for audit entries).
+async function requireAdmin(req, res, permission) {
 	if (!requireAdminEnabled(req, res)) return null;
 
 	const jwt = getBearerToken(req);
@@ -35,50 +68,63 @@ async function requireAdmin(req, res) {
 		return null;
 	}
 
-	let userId = null;
+	let verified = null;
 	try {
-		const anon = createAnonClientWithJwt(jwt);
-		const { data, error } = await anon.auth.getUser();
-		if (error) {
-			res.status(401).json({ success: false, error: 'Invalid or expired token' });
-			return null;
-		}
-		userId = data?.user?.id || null;
+		verified = await verifyAccessToken(jwt);
 	} catch (e) {
 		res.status(500).json({ success: false, error: e?.message || 'Auth check failed' });
 		return null;
 	}
 
+	const userId = verified?.userId || null;
 	if (!userId) {
 		res.status(401).json({ success: false, error: 'Invalid or expired token' });
 		return null;
 	}
 
 	try {
-		const supabase = createAuthServiceClient();
-		const { data: profile, error } = await supabase
-			.from('profiles')
-			.select('role')
-			.eq('id', userId)
-			.maybeSingle();
-
-		if (error) {
-			res.status(400).json({ success: false, error: error.message });
+		const profile = await getAdminProfile(userId);
+		// Tokens issued before a sign-out everywhere (or a ban) stay valid until they expire, so they are
+		// refused here. iat has whole-second resolution: one issued in the same second as the revocation
+		// is accepted rather than locking out a sign-in made right after it.
+		const revokedAt = profile.sessionsRevokedAt ? new Date(profile.sessionsRevokedAt).getTime() : null;
+		const revokedSecond = revokedAt != null ? Math.floor(revokedAt / 1000) * 1000 : null;
+		if (revokedSecond != null && (!verified.issuedAt || new Date(verified.issuedAt).getTime() < revokedSecond)) {
+			res.status(401).json({ success: false, error: 'Session has been revoked; sign in again' });
 			return null;
 		}
 
-		if (String(profile?.role || '').toLowerCase() !== 'admin') {
+		const role = normalizeRole(profile.role);
+		if (!role) {
 			res.status(403).json({ success: false, error: 'Admin access required' });
 			return null;
 		}
 
-		return { userId };
+		const permissions = permissionsForRole(role);
+		const required = permission ? [].concat(permission) : [];
+		const missing = required.filter((p) => !permissions.includes(p));
+		if (missing.length > 0) {
+			res.status(403).json({ success: false, error: `Missing permission: ${missing.join(', ')}` });
+			return null;
+		}
+
+		return { userId, role, permissions, ip: clientIp(req), userAgent: req.get('user-agent') || null };
 	} catch (e) {
 		res.status(500).json({ success: false, error: e?.message || 'Admin check failed' });
 		return null;
 	}
 }
 
+// Current row for an audit entry's `before` (null if it cannot be read).
+async function auditSnapshot(supabase, table, column, value) {
+	try {
+		const { data, error } = await supabase.from(table).select('*').eq(column, value).maybeSingle();
+		return error ? null : data || null;
+	} catch {
+		return null;
+	}
+}
+
 function toAdminPickupStatus(dbStatus) {
 	const s = String(dbStatus || '').toUpperCase();
 	if (s === 'COMPLETED') return 'Completed';
@@ -102,16 +148,178 @@ function normalizeSlug(input) {
 		.replace(/^-|-$/g, '');
 }
 
+// Admin labels group several DB statuses (see toAdminPickupStatus).
+const PICKUP_DB_STATUSES = ['PENDING', 'ASSIGNED', 'ON_THE_WAY', 'COMPLETED', 'CANCELLED'];
+const PICKUP_STATUSES_BY_ADMIN_LABEL = {
+	pending: ['PENDING'],
+	assigned: ['ASSIGNED', 'ON_THE_WAY'],
+	completed: ['COMPLETED'],
+	cancelled: ['CANCELLED'],
+};
+
+function splitList(input) {
+	if (input == null) return [];
+	const values = Array.isArray(input) ? input : [input];
+	return values
+		.flatMap((v) => String(v).split(','))
+		.map((v) => v.trim())
+		.filter(Boolean);
+}
+
+function parseDateParam(input, { endOfDay = false } = {}) {
+	const s = String(input || '').trim();
+	if (!s) return { value: null };
+	const d = new Date(s);
+	if (Number.isNaN(d.getTime())) return { error: true };
+	// A bare YYYY-MM-DD upper bound should include the whole day.
+	const exclusive = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s);
+	if (exclusive) d.setUTCDate(d.getUTCDate() + 1);
+	return { value: d.toISOString(), exclusive };
+}
+
+function escapeLike(input) {
+	return String(input).replace(/[\\%_]/g, (m) => `\\${m}`);
+}
+
+// `%term%` for a PostgREST like/ilike filter. PostgREST reads `*` as `%` and has no escape for it,
+// so a literal `*` becomes `_` (any one character) rather than matching everything.
+function likeContains(term) {
+	return `%${escapeLike(term).replace(/\*/g, '_')}%`;
+}
+
+// A value inside a PostgREST or=()/and=() filter, in double quotes. Backslashes and quotes are
+// escaped for the quoted context, so escapeLike's backslashes reach the LIKE pattern intact.
+function quoteFilterValue(value) {
+	return `"${String(value).replace(/[\\"]/g, (m) => `\\${m}`)}"`;
+}
+
+// Parses the pickup list query string. Returns { filters } or { error }.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function parsePickupFilters(query) {
+	const q = query || {};
+	const statuses = new Set();
+
+	for (const label of splitList(q.status)) {
+		const group = PICKUP_STATUSES_BY_ADMIN_LABEL[label.toLowerCase()];
+		if (!group) return { error: `Unknown status: ${label}` };
+		group.forEach((s) => statuses.add(s));
+	}
+	for (const raw of splitList(q.dbStatus)) {
+		const s = raw.toUpperCase();
+		if (!PICKUP_DB_STATUSES.includes(s)) return { error: `Unknown dbStatus: ${raw}` };
+		statuses.add(s);
+	}
+
+	const from = parseDateParam(q.createdFrom);
+	if (from.error) return { error: 'createdFrom must be a valid date' };
+	const to = parseDateParam(q.createdTo, { endOfDay: true });
+	if (to.error) return { error: 'createdTo must be a valid date' };
+
+	// Ids are checked here so a typo is a 400, not a database error halfway through an export.
+	const customerIds = splitList(q.customerId);
+	const scrapTypeIds = splitList(q.scrapTypeId);
+	const badId = [...customerIds, ...scrapTypeIds].find((id) => !UUID_PATTERN.test(id));
+	if (badId) return { error: `Not a valid id: ${badId}` };
+
+	let cursor = null;
+	if (q.cursor) {
+		cursor = decodeCursor(q.cursor);
+		if (!cursor) return { error: 'cursor is invalid' };
+	}
+
+	return {
+		filters: {
+			statuses: Array.from(statuses),
+			vendorRefs: splitList(q.vendorRef),
+			customerIds,
+			scrapTypeIds,
+			timeSlot: String(q.timeSlot || '').trim() || null,
+			search: String(q.q || '').trim() || null,
+			createdFrom: from.value,
+			createdTo: to.value,
+			createdToExclusive: Boolean(to.exclusive),
+			cursor,
+		},
+	};
+}
+
+// Applies parsed filters and the (created_at, id) keyset ordering to a pickups query.
+// Scrap type filtering needs `filter_items:pickup_items!inner(scrap_type_id)` in the select.
+function applyPickupFilters(query, filters) {
+	let q = query;
+	if (filters.statuses.length > 0) q = q.in('status', filters.statuses);
+	if (filters.vendorRefs.length > 0) q = q.in('assigned_vendor_ref', filters.vendorRefs);
+	if (filters.customerIds.length > 0) q = q.in('customer_id', filters.customerIds);
+	if (filters.scrapTypeIds.length > 0) q = q.in('filter_items.scrap_type_id', filters.scrapTypeIds);
+	if (filters.timeSlot) q = q.eq('time_slot', filters.timeSlot);
+	if (filters.search) q = q.ilike('address', likeContains(filters.search));
+	if (filters.createdFrom) q = q.gte('created_at', filters.createdFrom);
+	if (filters.createdTo) q = filters.createdToExclusive ? q.lt('created_at', filters.createdTo) : q.lte('created_at', filters.createdTo);
+	if (filters.cursor) {
+		const { createdAt, id } = filters.cursor;
+		q = q.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt."${id}")`);
+	}
+	return q.order('created_at', { ascending: false }).order('id', { ascending: false });
+}
+
+// Best-effort profile lookup (customer project) for a batch of customer ids.
+async function loadCustomersById(supabase, customerIds) {
+	const ids = Array.from(new Set((customerIds || []).filter(Boolean)));
+	if (ids.length === 0) return new Map();
+	try {
+		const { data: profiles, error } = await supabase
+			.from('profiles')
+			.select('id,full_name,phone,email')
+			.in('id', ids)
+			.limit(Math.max(500, ids.length));
+		if (error) return new Map();
+		return new Map((profiles || []).map((r) => [r.id, r]));
+	} catch {
+		// ignore enrichment errors
+		return new Map();
+	}
+}
+
+// Walks every pickup matching `filters` page by page (keyset on created_at, id), so totals are
+// not capped by the list endpoint's limit. `select` must include id and created_at.
+async function* iteratePickups(supabase, filters, select, pageSize = 1000) {
+	let cursor = filters.cursor;
+	for (;;) {
+		const { data, error } = await applyPickupFilters(supabase.from('pickups').select(select), { ...filters, cursor }).limit(pageSize);
+		if (error) throw error;
+
+		const rows = data || [];
+		if (rows.length > 0) yield rows;
+		if (rows.length < pageSize) return;
+
+		const last = rows[rows.length - 1];
+		cursor = { createdAt: last.created_at, id: String(last.id) };
+	}
+}
+
+function pickupSelect(filters) {
+	const base =
+		'id,status,address,latitude,longitude,time_slot,assigned_vendor_ref,assignment_expires_at,cancelled_at,completed_at,created_at,customer_id,' +
+		'pickup_items(id,estimated_quantity,scrap_type_id,scrap_types(name,unit))';
+	return filters.scrapTypeIds.length > 0 ? `${base},filter_items:pickup_items!inner(scrap_type_id)` : base;
+}
+
+// Latest active rate per scrap type that is already in force (effective_from <= now).
+// Rates scheduled for later stay active but are skipped here until their time comes.
+// rate_per_kg is per the scrap type's unit; each entry carries that `unit`.
 async function getActiveRateByType(supabase) {
 	const { data, error } = await supabase
 		.from('scrap_rates')
-		.select('scrap_type_id,rate_per_kg,effective_from,is_active')
-		.eq('is_active', true);
+		.select('scrap_type_id,rate_per_kg,effective_from,is_active,scrap_types(unit)')
+		.eq('is_active', true)
+		.or(`effective_from.is.null,effective_from.lte."${new Date().toISOString()}"`);
 
 	if (error) throw error;
 
 	const latest = new Map();
-	for (const r of data || []) {
+	for (const { scrap_types: type, ...row } of data || []) {
+		const r = { ...row, unit: type?.unit || 'kg' };
 		const prev = latest.get(r.scrap_type_id);
 		if (!prev) {
 			latest.set(r.scrap_type_id, r);
@@ -124,289 +332,3410 @@ async function getActiveRateByType(supabase) {
 	return latest;
 }
 
-// GET /api/admin/me
-router.get('/me', async (req, res) => {
-	const admin = await requireAdmin(req, res);
-	if (!admin) return;
-	return res.json({ success: true, isAdmin: true, userId: admin.userId });
-});
+// Earliest rate per scrap type scheduled to take effect after now.
+async function getScheduledRateByType(supabase) {
+	const { data, error } = await supabase
+		.from('scrap_rates')
+		.select('id,scrap_type_id,rate_per_kg,effective_from')
+		.eq('is_active', true)
+		.gt('effective_from', new Date().toISOString())
+		.order('effective_from', { ascending: true });
 
-// GET /api/admin/vendors
-router.get('/vendors', async (req, res) => {
-	const admin = await requireAdmin(req, res);
-	if (!admin) return;
+	if (error) throw error;
 
-	try {
-		const supabase = createVendorServiceClient();
-		const { data, error } = await supabase.from('vendor_backends').select('*').limit(500);
-		if (error) return res.status(400).json({ success: false, error: error.message });
+	const next = new Map();
+	for (const r of data || []) {
+		if (!next.has(r.scrap_type_id)) next.set(r.scrap_type_id, r);
+	}
+	return next;
+}
 
-		const rows = (data || []).map((v) => ({
-			vendor_id: v.vendor_id ?? null,
-			vendor_ref: v.vendor_ref ?? null,
-			offer_url: v.offer_url ?? null,
-			latitude: v.latitude ?? v.last_latitude ?? null,
-			longitude: v.longitude ?? v.last_longitude ?? null,
-			updated_at: v.updated_at ?? null,
-		}));
+const SCRAP_UNITS = ['kg', 'piece', 'litre'];
+const SCRAP_CATEGORIES = ['metal', 'paper', 'e-waste', 'plastic'];
+const SCRAP_TYPE_COLUMNS = 'id,name,unit,category,archived_at';
 
-		return res.json({ success: true, vendors: rows });
-	} catch (e) {
-		console.error('Admin vendors failed', e);
-		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+function toScrapType(t) {
+	return {
+		id: t.id,
+		name: t.name,
+		unit: t.unit || 'kg',
+		category: t.category ?? null,
+		archived: Boolean(t.archived_at),
+		archivedAt: t.archived_at ?? null,
+	};
+}
+
+// Unit of a pickup item, from its embedded scrap_types row. Quantities and rates are per unit.
+function itemUnit(it) {
+	return it?.scrap_types?.unit || 'kg';
+}
+
+// Weight contributed by an item: only kg-denominated items count towards kg totals.
+function itemKg(it, quantity) {
+	return itemUnit(it) === 'kg' ? safeNumber(quantity, 0) : 0;
+}
+
+function buildPickupTimeline(p) {
+	const now = Date.now();
+	const events = [{ event: 'created', at: p.created_at }];
+	if (p.assigned_at) events.push({ event: 'assigned', at: p.assigned_at });
+	if (p.assignment_expires_at) {
+		const expired = new Date(p.assignment_expires_at).getTime() <= now;
+		events.push({ event: expired ? 'assignment_expired' : 'assignment_expires', at: p.assignment_expires_at });
 	}
-});
+	if (p.cancelled_at) events.push({ event: 'cancelled', at: p.cancelled_at });
+	if (p.completed_at) events.push({ event: 'completed', at: p.completed_at });
+	return events
+		.filter((e) => e.at)
+		.sort((a, b) => new Date(a.at).getTime() - new Date(b.at).getTime());
+}
 
-// GET /api/admin/godowns
-router.get('/godowns', async (req, res) => {
-	const admin = await requireAdmin(req, res);
-	if (!admin) return;
+const TRANSITION_RESULT_COLUMNS = 'id,status,assigned_vendor_ref,assigned_at,assignment_expires_at,cancelled_at,completed_at';
 
-	try {
-		const supabase = createVendorServiceClient();
-		// We keep this generic: you can create a `godowns` table in the vendor project.
-		const { data, error } = await supabase.from('godowns').select('*').limit(500);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: error.message,
-				hint:
-					"If you use a different table name, update admin_backend/routes/admin.js. Expected table: public.godowns in the VENDOR project.",
-			});
-		}
-		return res.json({ success: true, godowns: data || [] });
-	} catch (e) {
-		console.error('Admin godowns failed', e);
-		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+// Moves a pickup to `toStatus` if the transition table allows it. The update is guarded on the
+// status we read, so a concurrent change surfaces as a 409 instead of being overwritten.
+// `apply(current)` replaces the plain update for transitions that write more than the pickup row;
+// it must stay guarded the same way and resolve to { data, error } (data null when guarded out).
+// Returns { pickup } or { httpStatus, error }.
+async function transitionPickup(supabase, id, toStatus, patch, check, apply) {
+	const { data: current, error } = await supabase
+		.from('pickups')
+		.select('id,status,assigned_vendor_ref,assignment_expires_at')
+		.eq('id', id)
+		.maybeSingle();
+	if (error) return { httpStatus: 400, error: error.message };
+	if (!current) return { httpStatus: 404, error: 'pickup not found' };
+
+	if (!canTransitionPickup(current.status, toStatus)) {
+		return { httpStatus: 409, error: `Cannot move pickup from ${current.status} to ${toStatus}` };
+	}
+	if (check) {
+		const problem = await check(current);
+		if (problem) return problem;
 	}
-});
 
-// GET /api/admin/pickups
-router.get('/pickups', async (req, res) => {
-	const admin = await requireAdmin(req, res);
-	if (!admin) return;
+	const { data: updated, error: updErr } = apply
+		? await apply(current)
+		: await supabase
+				.from('pickups')
+				.update({ ...patch, status: toStatus })
+				.eq('id', id)
+				.eq('status', current.status)
+				.select(TRANSITION_RESULT_COLUMNS)
+				.maybeSingle();
+	if (updErr) return { httpStatus: 400, error: updErr.message };
+	if (!updated) return { httpStatus: 409, error: 'pickup was changed by someone else, reload and retry' };
 
-	const limitRaw = req.query?.limit;
-	const limit = Math.max(1, Math.min(500, Number(limitRaw ?? 200) || 200));
+	return { pickup: updated, previousStatus: current.status, previous: current };
+}
 
-	try {
-		const supabase = createCustomerServiceClient();
+async function auditTransition(admin, action, result, extra = {}) {
+	if (!result.pickup) return;
+	await recordAudit(admin, {
+		action,
+		entity: 'pickups',
+		entityId: result.pickup.id,
+		before: result.previous,
+		after: { ...result.pickup, ...extra },
+	});
+}
 
-		const { data: pickups, error } = await supabase
-			.from('pickups')
-			.select(
-				'id,status,address,latitude,longitude,time_slot,assigned_vendor_ref,assignment_expires_at,cancelled_at,completed_at,created_at,customer_id,' +
-					'pickup_items(id,estimated_quantity,scrap_type_id,scrap_types(name))'
-			)
-			.order('created_at', { ascending: false })
-			.limit(limit);
-		if (error) return res.status(400).json({ success: false, error: error.message });
+function sendTransitionResult(res, result, extra = {}) {
+	if (result.error) return res.status(result.httpStatus).json({ success: false, error: result.error });
+	return res.json({
+		success: true,
+		pickup: {
+			...result.pickup,
+			adminStatus: toAdminPickupStatus(result.pickup.status),
+		},
+		previousStatus: result.previousStatus,
+		...extra,
+	});
+}
 
-		// Enrich customer names/phones (best-effort)
-		const customerIds = Array.from(new Set((pickups || []).map((p) => p.customer_id).filter(Boolean)));
-		let customersById = new Map();
-		if (customerIds.length > 0) {
-			try {
-				const { data: profiles, error: profErr } = await supabase
-					.from('profiles')
-					.select('id,full_name,phone,email')
-					.in('id', customerIds)
-					.limit(500);
-				if (!profErr) {
-					customersById = new Map((profiles || []).map((r) => [r.id, r]));
-				}
-			} catch {
-				// ignore enrichment errors
-			}
-		}
+// Returns an error message if the vendor cannot take assignments (unknown or suspended), else null.
+async function checkVendorAssignable(vendorRef) {
+	const vendorDb = createVendorServiceClient();
+	const { data, error } = await vendorDb.from('vendor_backends').select('*').eq('vendor_ref', vendorRef).maybeSingle();
+	if (error) throw error;
+	if (!data) return 'Unknown vendorRef';
+	if (!isVendorActive(data)) return 'vendor is suspended';
+	return null;
+}
 
-		// Optional: compute an estimated amount using active rates
-		let rateByType = new Map();
-		try {
-			rateByType = await getActiveRateByType(supabase);
-		} catch {
-			rateByType = new Map();
-		}
+function parseAssignmentBody(body) {
+	const vendorRef = String(body?.vendorRef || '').trim();
+	if (!vendorRef) return { error: 'vendorRef is required' };
 
-		const rows = (pickups || []).map((p) => {
-			const items = Array.isArray(p.pickup_items) ? p.pickup_items : [];
-			const firstName = items?.[0]?.scrap_types?.name || null;
-			const scrapLabel =
-				items.length === 0
-					? '—'
-					: items
-						.map((it) => it?.scrap_types?.name)
-						.filter(Boolean)
-						.join(', ');
+	const minutes = body?.expiresInMinutes === undefined ? getAssignmentTtlMinutes() : Number(body.expiresInMinutes);
+	if (!Number.isFinite(minutes) || minutes <= 0) return { error: 'expiresInMinutes must be a positive number' };
 
-			const weightKg = items.reduce((acc, it) => acc + safeNumber(it?.estimated_quantity, 0), 0);
-			const amountInr = items.reduce((acc, it) => {
-				const r = rateByType.get(it?.scrap_type_id);
-				const rate = safeNumber(r?.rate_per_kg, 0);
-				return acc + safeNumber(it?.estimated_quantity, 0) * rate;
-			}, 0);
+	return { vendorRef, expiresAt: assignmentExpiresAt(minutes) };
+}
 
-			const customer = customersById.get(p.customer_id) || null;
+// Inserts a rate. Without a future effectiveFrom it supersedes whatever is in force now;
+// scheduled rates stay queued. Returns { rate } or { error }.
+async function applyScrapRate(supabase, { scrapTypeId, ratePerKg, effectiveFrom }) {
+	const now = new Date();
+	const from = effectiveFrom && effectiveFrom > now ? effectiveFrom : now;
+	const scheduled = from > now;
 
-			return {
-				id: p.id,
-				createdAt: p.created_at,
-				status: toAdminPickupStatus(p.status),
-				dbStatus: p.status,
-				customerId: p.customer_id,
-				customerName: customer?.full_name || customer?.email || null,
-				customerPhone: customer?.phone || null,
-				address: p.address || null,
-				timeSlot: p.time_slot || null,
-				vendorRef: p.assigned_vendor_ref || null,
-				scrapType: firstName || scrapLabel,
-				weightKg,
-				amountInr: Math.round(amountInr),
-				items: items.map((it) => ({
-					id: it.id,
-					scrapTypeId: it.scrap_type_id,
-					scrapTypeName: it?.scrap_types?.name || null,
-					estimatedQuantityKg: safeNumber(it.estimated_quantity, 0),
-				})),
-			};
-		});
+	if (!scheduled) {
+		const { error: deactErr } = await supabase
+			.from('scrap_rates')
+			.update({ is_active: false })
+			.eq('scrap_type_id', scrapTypeId)
+			.eq('is_active', true)
+			.or(`effective_from.is.null,effective_from.lte."${now.toISOString()}"`);
+		if (deactErr) return { error: deactErr.message };
+	}
+
+	const row = {
+		scrap_type_id: scrapTypeId,
+		rate_per_kg: ratePerKg,
+		is_active: true,
+		effective_from: from.toISOString(),
+	};
+
+	const { data, error } = await supabase.from('scrap_rates').insert([row]).select('*').single();
+	if (error) return { error: error.message };
+
+	return { rate: toScrapRate(data) };
+}
+
+function toScrapRate(r) {
+	return {
+		id: r.id,
+		scrapTypeId: r.scrap_type_id,
+		ratePerKg: r.rate_per_kg,
+		effectiveFrom: r.effective_from,
+		scheduled: Boolean(r.effective_from) && new Date(r.effective_from) > new Date(),
+	};
+}
 
-		return res.json({ success: true, pickups: rows });
+// Rates live in the customer project and the audit log in the admin auth project, so a rate change
+// cannot share a transaction with its entry. The entry is written first (the change is refused if
+// it cannot be), and a change that then fails is followed by a `<action>_failed` entry.
+// change() resolves to { error?: string, ... }.
+async function auditedRateChange(admin, entry, change) {
+	await recordAudit(admin, entry, { required: true });
+	let result;
+	try {
+		result = await change();
 	} catch (e) {
-		console.error('Admin pickups failed', e);
-		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+		await recordAudit(admin, { ...entry, action: `${entry.action}_failed`, after: { error: e?.message || String(e) } });
+		throw e;
 	}
-});
+	if (result.error) await recordAudit(admin, { ...entry, action: `${entry.action}_failed`, after: { error: result.error } });
+	return result;
+}
 
-// GET /api/admin/scrap-types
-router.get('/scrap-types', async (req, res) => {
-	const admin = await requireAdmin(req, res);
-	if (!admin) return;
+const RATE_APPROVAL_STATUSES = ['pending', 'approved', 'rejected'];
 
-	try {
-		const supabase = createCustomerServiceClient();
+function getRateMaxChangePercent() {
+	const n = Number(process.env.RATE_MAX_CHANGE_PERCENT);
+	return Number.isFinite(n) && n > 0 ? n : 50;
+}
 
-		const { data: types, error: typesErr } = await supabase
-			.from('scrap_types')
-			.select('id,name')
-			.order('name', { ascending: true });
-		if (typesErr) return res.status(400).json({ success: false, error: typesErr.message });
+// Absolute % change from the rate in force; null when there is nothing to compare against.
+function rateChangePercent(oldRate, newRate) {
+	const prev = Number(oldRate);
+	if (!Number.isFinite(prev) || prev <= 0) return null;
+	return (Math.abs(Number(newRate) - prev) / prev) * 100;
+}
 
-		const rates = await getActiveRateByType(supabase);
+function toRateApproval(r) {
+	return {
+		id: r.id,
+		scrapTypeId: r.scrap_type_id,
+		scrapTypeName: r?.scrap_types?.name ?? null,
+		ratePerKg: r.rate_per_kg,
+		currentRatePerKg: r.current_rate_per_kg ?? null,
+		changePercent: r.change_percent ?? null,
+		effectiveFrom: r.effective_from ?? null,
+		status: r.status,
+		requestedBy: r.requested_by,
+		requestedAt: r.created_at,
+		decidedBy: r.decided_by ?? null,
+		decidedAt: r.decided_at ?? null,
+		decisionReason: r.decision_reason ?? null,
+		scrapRateId: r.scrap_rate_id ?? null,
+	};
+}
 
-		const rows = (types || []).map((t) => {
-			const r = rates.get(t.id);
-			return {
-				id: t.id,
-				name: t.name,
-				ratePerKg: r?.rate_per_kg ?? null,
-				effectiveFrom: r?.effective_from ?? null,
-			};
-		});
+async function createRateApproval(supabase, { scrapTypeId, ratePerKg, effectiveFrom, currentRatePerKg, changePercent, requestedBy }) {
+	const { data, error } = await supabase
+		.from('scrap_rate_approvals')
+		.insert([
+			{
+				scrap_type_id: scrapTypeId,
+				rate_per_kg: ratePerKg,
+				current_rate_per_kg: currentRatePerKg,
+				change_percent: Math.round(changePercent * 100) / 100,
+				effective_from: effectiveFrom ? effectiveFrom.toISOString() : null,
+				status: 'pending',
+				requested_by: requestedBy,
+			},
+		])
+		.select('*')
+		.single();
+	if (error) throw error;
+	return toRateApproval(data);
+}
 
-		return res.json({ success: true, scrapTypes: rows });
-	} catch (e) {
-		console.error('Admin scrap-types failed', e);
-		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+// Moves a pending approval to approved/rejected. The requester cannot decide their own change.
+// Returns { approval } or { httpStatus, error }.
+async function decideRateApproval(supabase, id, userId, status, reason) {
+	const { data: current, error } = await supabase.from('scrap_rate_approvals').select('*').eq('id', id).maybeSingle();
+	if (error) return { httpStatus: 400, error: error.message };
+	if (!current) return { httpStatus: 404, error: 'approval not found' };
+	if (current.status !== 'pending') return { httpStatus: 409, error: `approval is already ${current.status}` };
+	if (current.requested_by === userId) {
+		return { httpStatus: 403, error: 'a rate change must be approved or rejected by a different admin' };
 	}
-});
 
-// POST /api/admin/scrap-types
-router.post('/scrap-types', async (req, res) => {
+	const { data, error: updErr } = await supabase
+		.from('scrap_rate_approvals')
+		.update({ status, decided_by: userId, decided_at: new Date().toISOString(), decision_reason: reason })
+		.eq('id', id)
+		.eq('status', 'pending')
+		.select('*')
+		.maybeSingle();
+	if (updErr) return { httpStatus: 400, error: updErr.message };
+	if (!data) return { httpStatus: 409, error: 'approval was decided by someone else' };
+	return { approval: data };
+}
+
+// Scrap types with their current and next scheduled rate (the rate sheet).
+// Archived types are left out unless includeArchived is set.
+async function loadScrapTypeRows(supabase, { includeArchived = false } = {}) {
+	let q = supabase.from('scrap_types').select(SCRAP_TYPE_COLUMNS).order('name', { ascending: true });
+	if (!includeArchived) q = q.is('archived_at', null);
+	const { data: types, error: typesErr } = await q;
+	if (typesErr) throw typesErr;
+
+	const rates = await getActiveRateByType(supabase);
+	const scheduled = await getScheduledRateByType(supabase);
+
+	return (types || []).map((t) => {
+		const r = rates.get(t.id);
+		const next = scheduled.get(t.id);
+		return {
+			...toScrapType(t),
+			ratePerKg: r?.rate_per_kg ?? null,
+			effectiveFrom: r?.effective_from ?? null,
+			scheduledRatePerKg: next?.rate_per_kg ?? null,
+			scheduledFrom: next?.effective_from ?? null,
+		};
+	});
+}
+
+const RATE_SHEET_COLUMNS = [
+	{ header: 'scrap_type_id', value: (r) => r.id },
+	{ header: 'name', value: (r) => r.name },
+	{ header: 'unit', value: (r) => r.unit },
+	{ header: 'rate_per_kg', value: (r) => r.ratePerKg },
+	{ header: 'effective_from', value: (r) => r.effectiveFrom },
+];
+
+// Validates an uploaded rate sheet against the current scrap types.
+// Returns { changes, unchanged, errors } where errors carry the CSV line number.
+// Changes above maxChangePercent are flagged requiresApproval.
+function diffRateSheet(records, scrapTypes, maxChangePercent) {
+	const errors = [];
+	const changes = [];
+	const unchanged = [];
+	if (records.length === 0) return { changes, unchanged, errors: [{ line: 1, error: 'file is empty' }] };
+
+	const header = records[0].values.map((h) => h.trim().toLowerCase());
+	const idCol = header.findIndex((h) => h === 'scrap_type_id' || h === 'id');
+	const nameCol = header.indexOf('name');
+	const rateCol = header.findIndex((h) => h === 'rate_per_kg' || h === 'rateperkg');
+	if (rateCol === -1 || (idCol === -1 && nameCol === -1)) {
+		return {
+			changes,
+			unchanged,
+			errors: [{ line: records[0].line, error: 'header must include rate_per_kg and scrap_type_id or name' }],
+		};
+	}
+
+	const byId = new Map(scrapTypes.map((t) => [String(t.id), t]));
+	const byName = new Map(scrapTypes.map((t) => [String(t.name).trim().toLowerCase(), t]));
+	const seen = new Map();
+
+	for (const { line, values } of records.slice(1)) {
+		const id = idCol === -1 ? '' : String(values[idCol] || '').trim();
+		const name = nameCol === -1 ? '' : String(values[nameCol] || '').trim();
+		const rateRaw = String(values[rateCol] || '').trim();
+
+		const type = id ? byId.get(id) : byName.get(name.toLowerCase());
+		if (!id && !name) {
+			errors.push({ line, error: 'scrap_type_id or name is required' });
+			continue;
+		}
+		if (!type) {
+			errors.push({ line, error: id ? `unknown scrap_type_id ${id}` : `unknown scrap type "${name}"` });
+			continue;
+		}
+		const rate = Number(rateRaw);
+		if (!rateRaw || !Number.isFinite(rate) || rate <= 0) {
+			errors.push({ line, error: `rate_per_kg must be a positive number (got "${rateRaw}")` });
+			continue;
+		}
+		if (seen.has(type.id)) {
+			errors.push({ line, error: `${type.name} already appears on line ${seen.get(type.id)}` });
+			continue;
+		}
+		seen.set(type.id, line);
+
+		const changePercent = rateChangePercent(type.ratePerKg, rate);
+		const entry = {
+			line,
+			scrapTypeId: type.id,
+			name: type.name,
+			oldRatePerKg: type.ratePerKg,
+			newRatePerKg: rate,
+			changePercent: changePercent == null ? null : Math.round(changePercent * 100) / 100,
+			requiresApproval: changePercent != null && changePercent > maxChangePercent,
+		};
+		if (type.ratePerKg != null && Number(type.ratePerKg) === rate) unchanged.push(entry);
+		else changes.push(entry);
+	}
+
+	return { changes, unchanged, errors };
+}
+
+// Ties a confirmation to the exact previewed diff, so a sheet cannot be applied if it or the
+// current rates changed since the dry run.
+function rateSheetConfirmToken(changes, effectiveFrom) {
+	const payload = JSON.stringify({
+		effectiveFrom: effectiveFrom || null,
+		changes: changes.map((c) => [c.scrapTypeId, c.oldRatePerKg, c.newRatePerKg]),
+	});
+	return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// GET /api/admin/me
+router.get('/me', async (req, res) => {
 	const admin = await requireAdmin(req, res);
 	if (!admin) return;
+	return res.json({ success: true, isAdmin: true, userId: admin.userId, role: admin.role, permissions: admin.permissions });
+});
 
-	const name = String(req.body?.name || '').trim();
-	if (!name) return res.status(400).json({ success: false, error: 'name is required' });
+// GET /api/admin/jobs
+// Background job status (last run, outcome, rows touched), shared across instances.
+router.get('/jobs', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'system.view');
+	if (!admin) return;
 
 	try {
-		const supabase = createCustomerServiceClient();
-		const { data, error } = await supabase
-			.from('scrap_types')
-			.insert([{ name }])
-			.select('id,name')
-			.single();
-
-		if (error) return res.status(400).json({ success: false, error: error.message });
-		return res.status(201).json({ success: true, scrapType: data });
+		const { instanceId, jobs, sharedStateError } = await getJobStatuses();
+		return res.json({ success: true, instanceId, jobs, ...(sharedStateError ? { warning: sharedStateError } : {}) });
 	} catch (e) {
-		console.error('Admin create scrap-type failed', e);
+		console.error('Admin jobs failed', e);
 		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
 	}
 });
 
-// PATCH /api/admin/scrap-types/:id
-router.patch('/scrap-types/:id', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+// GET /api/admin/audit-log
+// Query: actorId, entity (table name), entityId, action, from, to, limit (default 100, max 500),
+// cursor (from a previous nextCursor). Newest first.
+router.get('/audit-log', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'audit.view');
 	if (!admin) return;
 
-	const id = String(req.params.id || '').trim();
-	const name = String(req.body?.name || '').trim();
-	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
-	if (!name) return res.status(400).json({ success: false, error: 'name is required' });
+	const limit = Math.max(1, Math.min(500, Number(req.query?.limit ?? 100) || 100));
+	const from = parseDateParam(req.query?.from);
+	const to = parseDateParam(req.query?.to, { endOfDay: true });
+	if (from.error || to.error) return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+	let cursor = null;
+	if (req.query?.cursor) {
+		cursor = decodeCursor(req.query.cursor);
+		if (!cursor) return res.status(400).json({ success: false, error: 'cursor is invalid' });
+	}
+
+	try {
+		const supabase = createAuthServiceClient();
+		let q = supabase.from('admin_audit_log').select('*');
+		if (req.query?.actorId) q = q.eq('actor_id', String(req.query.actorId));
+		if (req.query?.entity) q = q.eq('entity', String(req.query.entity));
+		if (req.query?.entityId) q = q.eq('entity_id', String(req.query.entityId));
+		if (req.query?.action) q = q.eq('action', String(req.query.action));
+		if (from.value) q = q.gte('created_at', from.value);
+		if (to.value) q = to.exclusive ? q.lt('created_at', to.value) : q.lte('created_at', to.value);
+		if (cursor) {
+			q = q.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt."${cursor.id}")`);
+		}
+
+		const { data, error } = await q
+			.order('created_at', { ascending: false })
+			.order('id', { ascending: false })
+			.limit(limit);
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		const rows = data || [];
+		return res.json({
+			success: true,
+			entries: rows.map((r) => ({
+				id: r.id,
+				actorId: r.actor_id,
+				actorRole: r.actor_role ?? null,
+				action: r.action,
+				entity: r.entity,
+				entityId: r.entity_id ?? null,
+				before: r.before ?? null,
+				after: r.after ?? null,
+				ip: r.ip ?? null,
+				userAgent: r.user_agent ?? null,
+				createdAt: r.created_at,
+			})),
+			nextCursor: rows.length === limit ? encodeCursor(rows[rows.length - 1]) : null,
+		});
+	} catch (e) {
+		console.error('Admin audit log failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// Estimated quantity, kg and ₹ of a pickup item at the rate in force when the pickup was created.
+function estimateItem(it, rateHistory, createdAt) {
+	const quantity = safeNumber(it?.estimated_quantity, 0);
+	const rate = rateInForceAt(rateHistory, it?.scrap_type_id, createdAt);
+	return { quantity, kg: itemKg(it, quantity), amountInr: quantity * safeNumber(rate?.rate_per_kg, 0) };
+}
+
+const TIMESERIES_INTERVALS = ['day', 'week', 'month'];
+const TIMESERIES_GROUPS = ['scrapType', 'vendor', 'status'];
+
+// Start of the day/week (Monday)/month containing `date`, in local time at `offsetMinutes`
+// from UTC. Returned as a YYYY-MM-DD key.
+function bucketKey(date, interval, offsetMinutes) {
+	const d = new Date(new Date(date).getTime() + offsetMinutes * 60000);
+	if (interval === 'month') d.setUTCDate(1);
+	if (interval === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+	return d.toISOString().slice(0, 10);
+}
+
+function nextBucketKey(key, interval) {
+	const d = new Date(`${key}T00:00:00Z`);
+	if (interval === 'day') d.setUTCDate(d.getUTCDate() + 1);
+	if (interval === 'week') d.setUTCDate(d.getUTCDate() + 7);
+	if (interval === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+	return d.toISOString().slice(0, 10);
+}
+
+function averageMinutes(durationsMs) {
+	if (durationsMs.length === 0) return null;
+	const total = durationsMs.reduce((acc, ms) => acc + ms, 0);
+	return Math.round((total / durationsMs.length / 60000) * 10) / 10;
+}
+
+function ratio(part, whole) {
+	return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+// GET /api/admin/dashboard?from=&to=
+// Pickup KPIs over every pickup created in the range (default: last 30 days).
+router.get('/dashboard', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'dashboard.view');
+	if (!admin) return;
+
+	const from = req.query?.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+	if (parseDateParam(from).error) return res.status(400).json({ success: false, error: 'from must be a valid date' });
+	if (parseDateParam(req.query?.to).error) return res.status(400).json({ success: false, error: 'to must be a valid date' });
+	const { filters } = parsePickupFilters({ createdFrom: from, createdTo: req.query?.to });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const select =
+			'id,status,created_at,first_assigned_at,completed_at,cancelled_at,' +
+			'pickup_items(estimated_quantity,scrap_type_id,scrap_types(name,unit))';
+
+		const pickups = [];
+		for await (const page of iteratePickups(supabase, filters, select)) pickups.push(...page);
+
+		const rateHistory = await getRateHistoryByType(
+			supabase,
+			pickups.flatMap((p) => (p.pickup_items || []).map((it) => it.scrap_type_id))
+		);
+
+		const byDbStatus = {};
+		const byStatus = {};
+		const toAssign = [];
+		const toComplete = [];
+		const byScrapType = new Map();
+
+		for (const p of pickups) {
+			const dbStatus = String(p.status || 'UNKNOWN').toUpperCase();
+			const label = toAdminPickupStatus(p.status);
+			byDbStatus[dbStatus] = (byDbStatus[dbStatus] || 0) + 1;
+			byStatus[label] = (byStatus[label] || 0) + 1;
+
+			const created = new Date(p.created_at).getTime();
+			// First assignment: later reassignments move assigned_at.
+			if (p.first_assigned_at) toAssign.push(new Date(p.first_assigned_at).getTime() - created);
+			if (p.completed_at && dbStatus === 'COMPLETED') toComplete.push(new Date(p.completed_at).getTime() - created);
+
+			for (const it of p.pickup_items || []) {
+				const key = it.scrap_type_id;
+				if (!byScrapType.has(key)) {
+					byScrapType.set(key, {
+						scrapTypeId: key,
+						scrapTypeName: it?.scrap_types?.name || null,
+						unit: itemUnit(it),
+						estimatedQuantity: 0,
+						estimatedKg: 0,
+						estimatedAmountInr: 0,
+					});
+				}
+				const agg = byScrapType.get(key);
+				const est = estimateItem(it, rateHistory, p.created_at);
+				agg.estimatedQuantity += est.quantity;
+				agg.estimatedKg += est.kg;
+				agg.estimatedAmountInr += est.amountInr;
+			}
+		}
+
+		const scrapTypes = Array.from(byScrapType.values())
+			.map((r) => ({ ...r, estimatedAmountInr: Math.round(r.estimatedAmountInr) }))
+			.sort((a, b) => b.estimatedAmountInr - a.estimatedAmountInr);
+
+		const total = pickups.length;
+		return res.json({
+			success: true,
+			range: { from: filters.createdFrom, to: filters.createdTo },
+			totals: {
+				pickups: total,
+				estimatedKg: scrapTypes.reduce((acc, r) => acc + r.estimatedKg, 0),
+				estimatedAmountInr: scrapTypes.reduce((acc, r) => acc + r.estimatedAmountInr, 0),
+			},
+			byStatus,
+			byDbStatus,
+			completionRate: ratio(byDbStatus.COMPLETED || 0, total),
+			cancellationRate: ratio(byDbStatus.CANCELLED || 0, total),
+			avgMinutesToAssignment: averageMinutes(toAssign),
+			avgMinutesToCompletion: averageMinutes(toComplete),
+			sampleSizes: { assignment: toAssign.length, completion: toComplete.length },
+			byScrapType: scrapTypes,
+		});
+	} catch (e) {
+		console.error('Admin dashboard failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/analytics/timeseries
+// Query: interval (day|week|month), from, to (default last 90 days), groupBy (scrapType|vendor|status),
+// utcOffsetMinutes (bucket boundaries, default 0 = UTC), plus the /pickups filters.
+// Each bucket has pickup count, kg and estimated ₹ at the rate in force when each pickup was created.
+router.get('/analytics/timeseries', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'dashboard.view');
+	if (!admin) return;
+
+	const interval = String(req.query?.interval || 'day').trim().toLowerCase();
+	const groupBy = req.query?.groupBy ? String(req.query.groupBy).trim() : null;
+	const offsetMinutes = req.query?.utcOffsetMinutes === undefined ? 0 : Number(req.query.utcOffsetMinutes);
+	if (!TIMESERIES_INTERVALS.includes(interval)) {
+		return res.status(400).json({ success: false, error: `interval must be one of ${TIMESERIES_INTERVALS.join(', ')}` });
+	}
+	if (groupBy && !TIMESERIES_GROUPS.includes(groupBy)) {
+		return res.status(400).json({ success: false, error: `groupBy must be one of ${TIMESERIES_GROUPS.join(', ')}` });
+	}
+	if (!Number.isInteger(offsetMinutes) || Math.abs(offsetMinutes) > 14 * 60) {
+		return res.status(400).json({ success: false, error: 'utcOffsetMinutes must be a whole number of minutes within ±840' });
+	}
+
+	const from = req.query?.from || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+	if (parseDateParam(from).error) return res.status(400).json({ success: false, error: 'from must be a valid date' });
+	if (parseDateParam(req.query?.to).error) return res.status(400).json({ success: false, error: 'to must be a valid date' });
+	const { filters, error: filterError } = parsePickupFilters({ ...req.query, cursor: undefined, createdFrom: from, createdTo: req.query?.to });
+	if (filterError) return res.status(400).json({ success: false, error: filterError });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const select =
+			'id,status,created_at,assigned_vendor_ref,' +
+			'pickup_items(estimated_quantity,scrap_type_id,scrap_types(name,unit))' +
+			(filters.scrapTypeIds.length > 0 ? ',filter_items:pickup_items!inner(scrap_type_id)' : '');
+
+		const pickups = [];
+		for await (const page of iteratePickups(supabase, filters, select)) pickups.push(...page);
+
+		const rateHistory = await getRateHistoryByType(
+			supabase,
+			pickups.flatMap((p) => (p.pickup_items || []).map((it) => it.scrap_type_id))
+		);
+
+		const series = new Map();
+		const add = (key, label, bucket, count, kg, amountInr) => {
+			if (!series.has(key)) series.set(key, { key, label, buckets: new Map() });
+			const buckets = series.get(key).buckets;
+			const b = buckets.get(bucket) || { count: 0, kg: 0, amountInr: 0 };
+			b.count += count;
+			b.kg += kg;
+			b.amountInr += amountInr;
+			buckets.set(bucket, b);
+		};
+
+		for (const p of pickups) {
+			const bucket = bucketKey(p.created_at, interval, offsetMinutes);
+			const items = (p.pickup_items || []).map((it) => ({ it, est: estimateItem(it, rateHistory, p.created_at) }));
+
+			if (groupBy === 'scrapType') {
+				const seen = new Set();
+				for (const { it, est } of items) {
+					// A pickup counts once per scrap type it contains.
+					const count = seen.has(it.scrap_type_id) ? 0 : 1;
+					seen.add(it.scrap_type_id);
+					add(String(it.scrap_type_id), it?.scrap_types?.name || null, bucket, count, est.kg, est.amountInr);
+				}
+				continue;
+			}
+
+			const kg = items.reduce((acc, { est }) => acc + est.kg, 0);
+			const amountInr = items.reduce((acc, { est }) => acc + est.amountInr, 0);
+			if (groupBy === 'vendor') add(p.assigned_vendor_ref || 'unassigned', p.assigned_vendor_ref || null, bucket, 1, kg, amountInr);
+			else if (groupBy === 'status') add(String(p.status || 'UNKNOWN').toUpperCase(), toAdminPickupStatus(p.status), bucket, 1, kg, amountInr);
+			else add('all', null, bucket, 1, kg, amountInr);
+		}
+
+		// Every series covers the whole range, with empty buckets as zeros.
+		const firstKey = bucketKey(filters.createdFrom, interval, offsetMinutes);
+		const lastKey = bucketKey(filters.createdTo ? new Date(new Date(filters.createdTo).getTime() - 1) : new Date(), interval, offsetMinutes);
+		const keys = [];
+		for (let k = firstKey; k <= lastKey && keys.length < 5000; k = nextBucketKey(k, interval)) keys.push(k);
+		if (series.size === 0 && !groupBy) series.set('all', { key: 'all', label: null, buckets: new Map() });
+
+		const rows = Array.from(series.values()).map((sr) => ({
+			key: sr.key,
+			label: sr.label,
+			points: keys.map((bucket) => {
+				const b = sr.buckets.get(bucket) || { count: 0, kg: 0, amountInr: 0 };
+				return { bucket, count: b.count, kg: b.kg, amountInr: Math.round(b.amountInr) };
+			}),
+		}));
+
+		return res.json({
+			success: true,
+			interval,
+			groupBy,
+			utcOffsetMinutes: offsetMinutes,
+			range: { from: filters.createdFrom, to: filters.createdTo },
+			series: rows,
+		});
+	} catch (e) {
+		console.error('Admin timeseries failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+function toAdminVendor(v) {
+	return {
+		vendor_id: v.vendor_id ?? null,
+		vendor_ref: v.vendor_ref ?? null,
+		offer_url: v.offer_url ?? null,
+		latitude: v.latitude ?? v.last_latitude ?? null,
+		longitude: v.longitude ?? v.last_longitude ?? null,
+		updated_at: v.updated_at ?? null,
+		status: isVendorActive(v) ? 'active' : 'suspended',
+		suspended_at: v.suspended_at ?? null,
+		suspension_reason: v.suspension_reason ?? null,
+		contact_name: v.contact_name ?? null,
+		contact_phone: v.contact_phone ?? null,
+		contact_email: v.contact_email ?? null,
+		service_radius_km: v.service_radius_km ?? null,
+		accepted_scrap_type_ids: v.accepted_scrap_type_ids ?? [],
+	};
+}
+
+function optionalText(value) {
+	if (value == null) return null;
+	return String(value).trim() || null;
+}
+
+// Validates vendor fields from a request body into a vendor_backends patch.
+// Returns { patch } or { error }. accepted scrap type ids are checked against the customer project.
+async function parseVendorBody(body) {
+	const patch = {};
+	if (body?.vendorId !== undefined) patch.vendor_id = optionalText(body.vendorId);
+	if (body?.offerUrl !== undefined) {
+		const url = optionalText(body.offerUrl);
+		if (url && !/^https?:\/\/\S+$/i.test(url)) return { error: 'offerUrl must be an http(s) URL' };
+		patch.offer_url = url;
+	}
+	if (body?.contactName !== undefined) patch.contact_name = optionalText(body.contactName);
+	if (body?.contactPhone !== undefined) patch.contact_phone = optionalText(body.contactPhone);
+	if (body?.contactEmail !== undefined) {
+		const email = optionalText(body.contactEmail);
+		if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: 'contactEmail must be a valid email' };
+		patch.contact_email = email;
+	}
+	if (body?.serviceRadiusKm !== undefined) {
+		const radius = body.serviceRadiusKm === null ? null : Number(body.serviceRadiusKm);
+		if (radius !== null && (!Number.isFinite(radius) || radius <= 0)) {
+			return { error: 'serviceRadiusKm must be a positive number' };
+		}
+		patch.service_radius_km = radius;
+	}
+	for (const [key, column, max] of [
+		['latitude', 'latitude', 90],
+		['longitude', 'longitude', 180],
+	]) {
+		if (body?.[key] === undefined) continue;
+		const n = body[key] === null ? null : Number(body[key]);
+		if (n !== null && (!Number.isFinite(n) || Math.abs(n) > max)) return { error: `${key} must be between -${max} and ${max}` };
+		patch[column] = n;
+	}
+	if (body?.acceptedScrapTypeIds !== undefined) {
+		if (!Array.isArray(body.acceptedScrapTypeIds)) return { error: 'acceptedScrapTypeIds must be an array' };
+		const ids = Array.from(new Set(body.acceptedScrapTypeIds.map((v) => String(v).trim()).filter(Boolean)));
+		if (ids.length > 0) {
+			const customerDb = createCustomerServiceClient();
+			const { data, error } = await customerDb.from('scrap_types').select('id').in('id', ids);
+			if (error) return { error: error.message };
+			const known = new Set((data || []).map((t) => String(t.id)));
+			const unknown = ids.filter((id) => !known.has(id));
+			if (unknown.length > 0) return { error: `Unknown scrap type ids: ${unknown.join(', ')}` };
+		}
+		patch.accepted_scrap_type_ids = ids;
+	}
+	return { patch };
+}
+
+function vendorWriteError(res, error) {
+	const msg = error.message || 'Could not save vendor';
+	if (/duplicate key value|vendor_backends_vendor_ref/i.test(msg)) {
+		return res.status(409).json({ success: false, error: 'vendorRef already exists' });
+	}
+	return res.status(400).json({ success: false, error: msg });
+}
+
+// GET /api/admin/vendors?status=active|suspended
+router.get('/vendors', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'vendors.view');
+	if (!admin) return;
+
+	const status = req.query?.status ? String(req.query.status).trim().toLowerCase() : null;
+	if (status && !VENDOR_STATUSES.includes(status)) {
+		return res.status(400).json({ success: false, error: `status must be one of ${VENDOR_STATUSES.join(', ')}` });
+	}
+
+	try {
+		const data = await loadAllVendors(createVendorServiceClient());
+		const rows = data.map(toAdminVendor).filter((v) => !status || v.status === status);
+
+		return res.json({ success: true, vendors: rows });
+	} catch (e) {
+		console.error('Admin vendors failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/vendors
+// Body: { vendorRef, offerUrl?, vendorId?, contactName?, contactPhone?, contactEmail?, serviceRadiusKm?,
+// acceptedScrapTypeIds? (empty = all types), latitude?, longitude? }
+router.post('/vendors', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'vendors.manage');
+	if (!admin) return;
+
+	const vendorRef = String(req.body?.vendorRef || '').trim();
+	if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+
+	try {
+		const { patch, error: bodyError } = await parseVendorBody(req.body);
+		if (bodyError) return res.status(400).json({ success: false, error: bodyError });
+
+		const supabase = createVendorServiceClient();
+		const { data, error } = await supabase
+			.from('vendor_backends')
+			.insert([{ ...patch, vendor_ref: vendorRef, status: 'active' }])
+			.select('*')
+			.single();
+		if (error) return vendorWriteError(res, error);
+
+		await recordAudit(admin, { action: 'vendor.create', entity: 'vendor_backends', entityId: vendorRef, after: data });
+		return res.status(201).json({ success: true, vendor: toAdminVendor(data) });
+	} catch (e) {
+		console.error('Admin create vendor failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// PATCH /api/admin/vendors/:vendorRef
+// Same fields as POST except vendorRef, which pickups refer to and so cannot change.
+router.patch('/vendors/:vendorRef', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'vendors.manage');
+	if (!admin) return;
+
+	const vendorRef = String(req.params.vendorRef || '').trim();
+	if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+	if (req.body?.vendorRef !== undefined && String(req.body.vendorRef).trim() !== vendorRef) {
+		return res.status(400).json({ success: false, error: 'vendorRef cannot be changed' });
+	}
+	if (req.body?.status !== undefined) {
+		return res.status(400).json({ success: false, error: 'use the suspend / reactivate endpoints to change status' });
+	}
+
+	try {
+		const { patch, error: bodyError } = await parseVendorBody(req.body);
+		if (bodyError) return res.status(400).json({ success: false, error: bodyError });
+		if (Object.keys(patch).length === 0) {
+			return res.status(400).json({ success: false, error: 'No fields to update' });
+		}
+
+		const supabase = createVendorServiceClient();
+		const before = await auditSnapshot(supabase, 'vendor_backends', 'vendor_ref', vendorRef);
+		const { data, error } = await supabase
+			.from('vendor_backends')
+			.update({ ...patch, updated_at: new Date().toISOString() })
+			.eq('vendor_ref', vendorRef)
+			.select('*')
+			.maybeSingle();
+		if (error) return vendorWriteError(res, error);
+		if (!data) return res.status(404).json({ success: false, error: 'vendor not found' });
+
+		await recordAudit(admin, { action: 'vendor.update', entity: 'vendor_backends', entityId: vendorRef, before, after: data });
+		return res.json({ success: true, vendor: toAdminVendor(data) });
+	} catch (e) {
+		console.error('Admin update vendor failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/vendors/:vendorRef/suspend
+// Body: { reason }. Suspended vendors are skipped by manual assignment, suggestions and the sweeper.
+// Pickups they already hold are left alone; reassign them if needed.
+router.post('/vendors/:vendorRef/suspend', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'vendors.manage');
+	if (!admin) return;
+
+	const vendorRef = String(req.params.vendorRef || '').trim();
+	const reason = String(req.body?.reason || '').trim();
+	if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+	if (!reason) return res.status(400).json({ success: false, error: 'reason is required' });
+
+	try {
+		const supabase = createVendorServiceClient();
+		const before = await auditSnapshot(supabase, 'vendor_backends', 'vendor_ref', vendorRef);
+		const { data, error } = await supabase
+			.from('vendor_backends')
+			.update({ status: 'suspended', suspended_at: new Date().toISOString(), suspension_reason: reason })
+			.eq('vendor_ref', vendorRef)
+			.select('*')
+			.maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!data) return res.status(404).json({ success: false, error: 'vendor not found' });
+		await recordAudit(admin, { action: 'vendor.suspend', entity: 'vendor_backends', entityId: vendorRef, before, after: data });
+
+		const customerDb = createCustomerServiceClient();
+		const activePickups = (await countActivePickupsByVendor(customerDb)).get(vendorRef) || 0;
+
+		return res.json({ success: true, vendor: toAdminVendor(data), activePickups });
+	} catch (e) {
+		console.error('Admin suspend vendor failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/vendors/:vendorRef/reactivate
+router.post('/vendors/:vendorRef/reactivate', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'vendors.manage');
+	if (!admin) return;
+
+	const vendorRef = String(req.params.vendorRef || '').trim();
+	if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+
+	try {
+		const supabase = createVendorServiceClient();
+		const before = await auditSnapshot(supabase, 'vendor_backends', 'vendor_ref', vendorRef);
+		const { data, error } = await supabase
+			.from('vendor_backends')
+			.update({ status: 'active', suspended_at: null, suspension_reason: null })
+			.eq('vendor_ref', vendorRef)
+			.select('*')
+			.maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!data) return res.status(404).json({ success: false, error: 'vendor not found' });
+
+		await recordAudit(admin, { action: 'vendor.reactivate', entity: 'vendor_backends', entityId: vendorRef, before, after: data });
+		return res.json({ success: true, vendor: toAdminVendor(data) });
+	} catch (e) {
+		console.error('Admin reactivate vendor failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/vendors/:vendorRef/performance?from=&to=
+// Scorecard over pickups created in the range (default last 90 days): pickups currently held by
+// the vendor (customer project) plus those it lost to expiry or reassignment (pickup_assignments),
+// each counted once, alongside its vendor_backends record (vendor project).
+// acceptanceRate leaves cancelled pickups out: pickups keep no record of whether the vendor had
+// accepted one before it was cancelled, so they count in neither the accepted nor the total side.
+router.get('/vendors/:vendorRef/performance', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'vendors.view');
+	if (!admin) return;
+
+	const vendorRef = String(req.params.vendorRef || '').trim();
+	if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+
+	const from = req.query?.from || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+	if (parseDateParam(from).error) return res.status(400).json({ success: false, error: 'from must be a valid date' });
+	if (parseDateParam(req.query?.to).error) return res.status(400).json({ success: false, error: 'to must be a valid date' });
+	// The path holds one vendor ref, which may itself contain a comma, so it is not split as a list.
+	const { filters } = parsePickupFilters({ createdFrom: from, createdTo: req.query?.to });
+	filters.vendorRefs = [vendorRef];
+
+	try {
+		const vendorDb = createVendorServiceClient();
+		const { data: vendor, error: vErr } = await vendorDb.from('vendor_backends').select('*').eq('vendor_ref', vendorRef).maybeSingle();
+		if (vErr) return res.status(400).json({ success: false, error: vErr.message });
+		if (!vendor) return res.status(404).json({ success: false, error: 'vendor not found' });
+
+		const supabase = createCustomerServiceClient();
+		const select =
+			'id,status,created_at,assigned_at,assignment_expires_at,completed_at,' +
+			'pickup_items(estimated_quantity,actual_quantity,scrap_type_id,scrap_types(unit))';
+		const pickups = [];
+		for await (const page of iteratePickups(supabase, filters, select)) pickups.push(...page);
+
+		// Assignments that ended without the pickup staying with this vendor, for pickups created in
+		// the same range as above.
+		const lostByPickup = new Map();
+		const pageSize = 1000;
+		for (let offset = 0; ; offset += pageSize) {
+			let q = supabase
+				.from('pickup_assignments')
+				.select('id,pickup_id,outcome,assigned_at,pickups!inner(created_at)')
+				.eq('vendor_ref', vendorRef)
+				.in('outcome', ['expired', 'reassigned'])
+				.gte('pickups.created_at', filters.createdFrom);
+			if (filters.createdTo) q = q.lt('pickups.created_at', filters.createdTo);
+			const { data, error } = await q.order('id', { ascending: true }).range(offset, offset + pageSize - 1);
+			if (error) return res.status(500).json({ success: false, error: error.message });
+			// A pickup lost more than once counts once, by its latest outcome.
+			for (const r of data || []) {
+				const prev = lostByPickup.get(String(r.pickup_id));
+				if (!prev || new Date(r.assigned_at) > new Date(prev.assigned_at)) lostByPickup.set(String(r.pickup_id), r);
+			}
+			if (!data || data.length < pageSize) break;
+		}
+
+		const now = Date.now();
+		const counts = { received: 0, accepted: 0, expired: 0, reassignedAway: 0, cancelled: 0, completed: 0, inProgress: 0 };
+		const assignToComplete = [];
+		const createToComplete = [];
+		const weight = { estimatedKg: 0, actualKg: 0, itemsWithoutActual: 0 };
+
+		// Each pickup counts once: by its current state while the vendor still holds it, else by
+		// how the vendor lost it.
+		const heldIds = new Set(pickups.map((p) => String(p.id)));
+		for (const [pickupId, r] of lostByPickup) {
+			if (heldIds.has(pickupId)) continue;
+			if (r.outcome === 'expired') counts.expired += 1;
+			if (r.outcome === 'reassigned') counts.reassignedAway += 1;
+			counts.received += 1;
+		}
+		counts.received += heldIds.size;
+
+		for (const p of pickups) {
+			const status = String(p.status || '').toUpperCase();
+			if (status === 'ON_THE_WAY' || status === 'COMPLETED') counts.accepted += 1;
+			if (status === 'CANCELLED') counts.cancelled += 1;
+			if (status === 'ASSIGNED' && p.assignment_expires_at && new Date(p.assignment_expires_at).getTime() < now) counts.expired += 1;
+			else if (status === 'ASSIGNED' || status === 'ON_THE_WAY') counts.inProgress += 1;
+			if (status !== 'COMPLETED') continue;
+
+			counts.completed += 1;
+			const completedAt = new Date(p.completed_at).getTime();
+			if (p.completed_at && p.assigned_at) assignToComplete.push(completedAt - new Date(p.assigned_at).getTime());
+			if (p.completed_at) createToComplete.push(completedAt - new Date(p.created_at).getTime());
+
+			for (const it of p.pickup_items || []) {
+				if (itemUnit(it) !== 'kg') continue;
+				if (it.actual_quantity == null) {
+					weight.itemsWithoutActual += 1;
+					continue;
+				}
+				// Only items with a weighed quantity enter the estimate-vs-actual comparison.
+				weight.estimatedKg += safeNumber(it.estimated_quantity, 0);
+				weight.actualKg += safeNumber(it.actual_quantity, 0);
+			}
+		}
+
+		const gapKg = weight.actualKg - weight.estimatedKg;
+
+		return res.json({
+			success: true,
+			vendor: toAdminVendor(vendor),
+			range: { from: filters.createdFrom, to: filters.createdTo },
+			counts,
+			acceptanceRate: ratio(counts.accepted, counts.received - counts.cancelled),
+			completionRate: ratio(counts.completed, counts.received),
+			avgMinutesAssignmentToCompletion: averageMinutes(assignToComplete),
+			avgMinutesCreationToCompletion: averageMinutes(createToComplete),
+			totalKgCollected: weight.actualKg,
+			weightAccuracy: {
+				estimatedKg: weight.estimatedKg,
+				actualKg: weight.actualKg,
+				gapKg,
+				gapPercent: weight.estimatedKg > 0 ? Math.round((gapKg / weight.estimatedKg) * 10000) / 100 : null,
+				itemsWithoutActual: weight.itemsWithoutActual,
+			},
+		});
+	} catch (e) {
+		console.error('Admin vendor performance failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+const GODOWN_MOVEMENT_REASONS = {
+	in: ['pickup', 'transfer', 'adjustment'],
+	out: ['sale', 'dispatch', 'transfer', 'adjustment'],
+};
+
+// Validates godown fields from a request body into a godowns patch. Returns { patch } or { error }.
+function parseGodownBody(body) {
+	const patch = {};
+	if (body?.name !== undefined) {
+		patch.name = String(body.name || '').trim();
+		if (!patch.name) return { error: 'name cannot be empty' };
+	}
+	if (body?.address !== undefined) patch.address = optionalText(body.address);
+	for (const [key, max] of [
+		['latitude', 90],
+		['longitude', 180],
+	]) {
+		if (body?.[key] === undefined) continue;
+		const n = body[key] === null ? null : Number(body[key]);
+		if (n !== null && (!Number.isFinite(n) || Math.abs(n) > max)) return { error: `${key} must be between -${max} and ${max}` };
+		patch[key] = n;
+	}
+	if (body?.capacityKg !== undefined) {
+		const capacity = body.capacityKg === null ? null : Number(body.capacityKg);
+		if (capacity !== null && (!Number.isFinite(capacity) || capacity <= 0)) {
+			return { error: 'capacityKg must be a positive number' };
+		}
+		patch.capacity_kg = capacity;
+	}
+	if (body?.alertThresholdPercent !== undefined) {
+		const threshold = body.alertThresholdPercent === null ? null : Number(body.alertThresholdPercent);
+		if (threshold !== null && (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100)) {
+			return { error: 'alertThresholdPercent must be between 0 and 100' };
+		}
+		patch.alert_threshold_percent = threshold;
+	}
+	if (body?.managerName !== undefined) patch.manager_name = optionalText(body.managerName);
+	if (body?.managerPhone !== undefined) patch.manager_phone = optionalText(body.managerPhone);
+	if (body?.managerEmail !== undefined) {
+		const email = optionalText(body.managerEmail);
+		if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: 'managerEmail must be a valid email' };
+		patch.manager_email = email;
+	}
+	if (body?.isActive !== undefined) patch.is_active = Boolean(body.isActive);
+	return { patch };
+}
+
+// Best-effort scrap type lookup (customer project) for ledger/stock rows from the vendor project.
+async function loadScrapTypesById(ids) {
+	const unique = Array.from(new Set((ids || []).filter(Boolean)));
+	if (unique.length === 0) return new Map();
+	try {
+		const customerDb = createCustomerServiceClient();
+		const { data, error } = await customerDb.from('scrap_types').select(SCRAP_TYPE_COLUMNS).in('id', unique);
+		if (error) return new Map();
+		return new Map((data || []).map((t) => [t.id, t]));
+	} catch {
+		// ignore enrichment errors
+		return new Map();
+	}
+}
+
+async function withScrapTypeNames(rows) {
+	const types = await loadScrapTypesById(rows.map((r) => r.scrap_type_id));
+	return rows.map((r) => ({ ...r, scrap_type_name: types.get(r.scrap_type_id)?.name ?? null }));
+}
+
+// Re-evaluates a godown's capacity alert after its stock or capacity changed. Returns the fill
+// summary, or null if it could not be computed.
+async function checkGodownCapacity(supabase, godownId) {
+	try {
+		const fill = (await loadGodownFills(supabase, [godownId])).get(godownId)?.fill;
+		if (!fill) return null;
+		await refreshGodownAlert(supabase, fill);
+		return fill;
+	} catch (e) {
+		console.error('Godown capacity check failed', e);
+		return null;
+	}
+}
+
+// Inserts ledger movements through record_godown_movements, which locks the godown, refuses
+// outbound movements that would take stock below zero and writes all rows in one transaction.
+// Returns { movements, fill } or { httpStatus, error }.
+async function recordGodownMovements(godownId, movements, userId) {
+	const supabase = createVendorServiceClient();
+	const { data, error } = await supabase.rpc('record_godown_movements', {
+		p_godown_id: godownId,
+		p_movements: movements,
+		p_created_by: userId,
+	});
+	if (error) {
+		const msg = error.message || 'Could not record movement';
+		if (/insufficient stock/i.test(msg)) return { httpStatus: 409, error: msg };
+		if (/godown not found/i.test(msg)) return { httpStatus: 404, error: 'godown not found' };
+		if (/godown is inactive/i.test(msg)) return { httpStatus: 409, error: 'godown is inactive' };
+		if (/duplicate key value|godown_stock_movements_pickup_key/i.test(msg)) {
+			return { httpStatus: 409, error: 'this pickup was already received into a godown' };
+		}
+		return { httpStatus: 400, error: msg };
+	}
+	const fill = await checkGodownCapacity(supabase, godownId);
+	return { movements: await withScrapTypeNames(data || []), fill };
+}
+
+// GET /api/admin/godowns
+// Query: includeInactive (true|false), limit (default 200, max 1000), cursor (from a previous
+// nextCursor). Newest first.
+router.get('/godowns', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'godowns.view');
+	if (!admin) return;
+
+	const includeInactive = String(req.query?.includeInactive || '').toLowerCase() === 'true';
+	const limit = Math.max(1, Math.min(1000, Number(req.query?.limit ?? 200) || 200));
+	let cursor = null;
+	if (req.query?.cursor) {
+		cursor = decodeCursor(req.query.cursor);
+		if (!cursor) return res.status(400).json({ success: false, error: 'cursor is invalid' });
+	}
+
+	try {
+		const supabase = createVendorServiceClient();
+		let q = supabase.from('godowns').select('*');
+		if (!includeInactive) q = q.eq('is_active', true);
+		if (cursor) {
+			q = q.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt."${cursor.id}")`);
+		}
+		const { data, error } = await q
+			.order('created_at', { ascending: false })
+			.order('id', { ascending: false })
+			.limit(limit);
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		const rows = data || [];
+		return res.json({ success: true, godowns: rows, nextCursor: rows.length === limit ? encodeCursor(rows[rows.length - 1]) : null });
+	} catch (e) {
+		console.error('Admin godowns failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/godowns
+// Body: { name, address?, latitude?, longitude?, capacityKg?, alertThresholdPercent?, managerName?,
+// managerPhone?, managerEmail? }. Without alertThresholdPercent the GODOWN_ALERT_THRESHOLD_PERCENT default applies.
+router.post('/godowns', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'godowns.manage');
+	if (!admin) return;
+
+	const { patch, error: bodyError } = parseGodownBody(req.body);
+	if (bodyError) return res.status(400).json({ success: false, error: bodyError });
+	if (!patch.name) return res.status(400).json({ success: false, error: 'name is required' });
+
+	try {
+		const supabase = createVendorServiceClient();
+		const { data, error } = await supabase
+			.from('godowns')
+			.insert([{ is_active: true, ...patch }])
+			.select('*')
+			.single();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		await recordAudit(admin, { action: 'godown.create', entity: 'godowns', entityId: data.id, after: data });
+		return res.status(201).json({ success: true, godown: data });
+	} catch (e) {
+		console.error('Admin create godown failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/godowns/stock
+// Current stock of every godown per scrap type (sum of the ledger), plus each godown's fill level
+// against its capacity, fullest first.
+router.get('/godowns/stock', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'godowns.view');
+	if (!admin) return;
+
+	try {
+		const supabase = createVendorServiceClient();
+		const [rows, godowns] = await Promise.all([loadGodownStock(supabase), loadGodowns(supabase)]);
+
+		const stock = await withScrapTypeNames(rows);
+		const fill = godowns
+			.map((g) => summarizeGodownFill(g, stock.filter((row) => row.godown_id === g.id)))
+			.sort((x, y) => (y.fillPercent ?? -1) - (x.fillPercent ?? -1));
+		return res.json({ success: true, stock, fill });
+	} catch (e) {
+		console.error('Admin godown stock failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// PATCH /api/admin/godowns/:id
+// Same fields as POST, plus isActive.
+router.patch('/godowns/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'godowns.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	const { patch, error: bodyError } = parseGodownBody(req.body);
+	if (bodyError) return res.status(400).json({ success: false, error: bodyError });
+	if (Object.keys(patch).length === 0) {
+		return res.status(400).json({ success: false, error: 'No fields to update' });
+	}
+
+	try {
+		const supabase = createVendorServiceClient();
+		const before = await auditSnapshot(supabase, 'godowns', 'id', id);
+		const { data, error } = await supabase.from('godowns').update(patch).eq('id', id).select('*').maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!data) return res.status(404).json({ success: false, error: 'godown not found' });
+		await recordAudit(admin, { action: 'godown.update', entity: 'godowns', entityId: id, before, after: data });
+
+		// Capacity, threshold or active flag may have changed.
+		const fill = await checkGodownCapacity(supabase, id);
+		return res.json({ success: true, godown: data, fill });
+	} catch (e) {
+		console.error('Admin update godown failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/godowns/:id/stock
+router.get('/godowns/:id/stock', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'godowns.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createVendorServiceClient();
+		const { data: godown, error: gErr } = await supabase.from('godowns').select('*').eq('id', id).maybeSingle();
+		if (gErr) return res.status(400).json({ success: false, error: gErr.message });
+		if (!godown) return res.status(404).json({ success: false, error: 'godown not found' });
+
+		const { data, error } = await supabase.from('godown_stock').select('*').eq('godown_id', id);
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		const stock = await withScrapTypeNames(data || []);
+		return res.json({ success: true, godown, stock, fill: summarizeGodownFill(godown, stock) });
+	} catch (e) {
+		console.error('Admin godown stock failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/godowns/:id/movements
+// Query: scrapTypeId, direction (in|out), from, to, limit (default 200, max 1000), cursor (from a
+// previous nextCursor). Newest first.
+router.get('/godowns/:id/movements', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'godowns.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	const limit = Math.max(1, Math.min(1000, Number(req.query?.limit ?? 200) || 200));
+	const direction = req.query?.direction ? String(req.query.direction).toLowerCase() : null;
+	if (direction && !GODOWN_MOVEMENT_REASONS[direction]) {
+		return res.status(400).json({ success: false, error: 'direction must be in or out' });
+	}
+	const from = parseDateParam(req.query?.from);
+	const to = parseDateParam(req.query?.to, { endOfDay: true });
+	if (from.error || to.error) return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+	let cursor = null;
+	if (req.query?.cursor) {
+		cursor = decodeCursor(req.query.cursor);
+		if (!cursor) return res.status(400).json({ success: false, error: 'cursor is invalid' });
+	}
+
+	try {
+		const supabase = createVendorServiceClient();
+		let q = supabase
+			.from('godown_stock_movements')
+			.select('*')
+			.eq('godown_id', id)
+			.order('created_at', { ascending: false })
+			.order('id', { ascending: false })
+			.limit(limit);
+		if (req.query?.scrapTypeId) q = q.eq('scrap_type_id', String(req.query.scrapTypeId));
+		if (direction) q = q.eq('direction', direction);
+		if (from.value) q = q.gte('created_at', from.value);
+		if (to.value) q = to.exclusive ? q.lt('created_at', to.value) : q.lte('created_at', to.value);
+		// Rows recorded together share created_at, so the cursor also carries the id.
+		if (cursor) {
+			q = q.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt."${cursor.id}")`);
+		}
+
+		const { data, error } = await q;
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		const rows = await withScrapTypeNames(data || []);
+		return res.json({ success: true, movements: rows, nextCursor: rows.length === limit ? encodeCursor(rows[rows.length - 1]) : null });
+	} catch (e) {
+		console.error('Admin godown movements failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/godowns/:id/movements
+// Body: { direction (in|out), scrapTypeId, quantity, reason, reference?, note? }
+// reason: in = transfer | adjustment (pickups go through /inbound-from-pickup),
+// out = sale | dispatch | transfer | adjustment. Movements are append-only; correct a mistake
+// with an opposite adjustment.
+router.post('/godowns/:id/movements', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'godowns.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	const direction = String(req.body?.direction || '').trim().toLowerCase();
+	const scrapTypeId = String(req.body?.scrapTypeId || '').trim();
+	const quantity = Number(req.body?.quantity);
+	const reason = String(req.body?.reason || '').trim().toLowerCase();
+
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	if (!GODOWN_MOVEMENT_REASONS[direction]) return res.status(400).json({ success: false, error: 'direction must be in or out' });
+	if (!scrapTypeId) return res.status(400).json({ success: false, error: 'scrapTypeId is required' });
+	if (!Number.isFinite(quantity) || quantity <= 0) {
+		return res.status(400).json({ success: false, error: 'quantity must be a positive number' });
+	}
+	const allowed = GODOWN_MOVEMENT_REASONS[direction].filter((r) => r !== 'pickup');
+	if (!allowed.includes(reason)) {
+		return res.status(400).json({ success: false, error: `reason for ${direction} must be one of ${allowed.join(', ')}` });
+	}
+
+	try {
+		const type = (await loadScrapTypesById([scrapTypeId])).get(scrapTypeId);
+		if (!type) return res.status(400).json({ success: false, error: 'Unknown scrapTypeId' });
+
+		const result = await recordGodownMovements(
+			id,
+			[
+				{
+					direction,
+					scrap_type_id: scrapTypeId,
+					quantity,
+					unit: type.unit || 'kg',
+					reason,
+					reference: optionalText(req.body?.reference),
+					note: optionalText(req.body?.note),
+				},
+			],
+			admin.userId
+		);
+		if (result.error) return res.status(result.httpStatus).json({ success: false, error: result.error });
+
+		await recordAudit(admin, {
+			action: 'godown.movement',
+			entity: 'godown_stock_movements',
+			entityId: result.movements[0]?.id,
+			after: result.movements[0],
+		});
+		return res.status(201).json({ success: true, movement: result.movements[0], fill: result.fill });
+	} catch (e) {
+		console.error('Admin godown movement failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/godowns/:id/inbound-from-pickup
+// Body: { pickupId } - books every item of a COMPLETED pickup (weighed quantity) into the godown.
+// A pickup can be received only once.
+router.post('/godowns/:id/inbound-from-pickup', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'godowns.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	const pickupId = String(req.body?.pickupId || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	if (!pickupId) return res.status(400).json({ success: false, error: 'pickupId is required' });
+
+	try {
+		const customerDb = createCustomerServiceClient();
+		const { data: p, error } = await customerDb
+			.from('pickups')
+			.select('id,status,pickup_items(id,scrap_type_id,estimated_quantity,actual_quantity,scrap_types(unit))')
+			.eq('id', pickupId)
+			.maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!p) return res.status(404).json({ success: false, error: 'pickup not found' });
+		if (String(p.status).toUpperCase() !== 'COMPLETED') {
+			return res.status(409).json({ success: false, error: 'only completed pickups can be received' });
+		}
+
+		const items = p.pickup_items || [];
+		const unweighed = items.filter((it) => it.actual_quantity == null).map((it) => it.id);
+		if (unweighed.length > 0) {
+			return res.status(409).json({ success: false, error: 'pickup has items without a weighed quantity', itemIds: unweighed });
+		}
+
+		// One movement per scrap type on the pickup.
+		const byType = new Map();
+		for (const it of items) {
+			const prev = byType.get(it.scrap_type_id) || { quantity: 0, unit: itemUnit(it) };
+			prev.quantity += safeNumber(it.actual_quantity, 0);
+			byType.set(it.scrap_type_id, prev);
+		}
+		const movements = Array.from(byType.entries())
+			.filter(([, v]) => v.quantity > 0)
+			.map(([scrapTypeId, v]) => ({
+				direction: 'in',
+				scrap_type_id: scrapTypeId,
+				quantity: v.quantity,
+				unit: v.unit,
+				reason: 'pickup',
+				pickup_id: pickupId,
+			}));
+		if (movements.length === 0) return res.status(409).json({ success: false, error: 'pickup has nothing to receive' });
+
+		const result = await recordGodownMovements(id, movements, admin.userId);
+		if (result.error) return res.status(result.httpStatus).json({ success: false, error: result.error });
+
+		await recordAudit(admin, {
+			action: 'godown.inbound_from_pickup',
+			entity: 'godown_stock_movements',
+			entityId: pickupId,
+			after: { godownId: id, pickupId, movements: result.movements },
+		});
+		return res.status(201).json({ success: true, movements: result.movements, fill: result.fill });
+	} catch (e) {
+		console.error('Admin godown inbound failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/alerts
+// Query: status (comma-separated open|acknowledged|resolved, default open,acknowledged), type,
+// godownId, limit (default 100, max 500). Newest first.
+router.get('/alerts', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'alerts.view');
+	if (!admin) return;
+
+	const statuses = req.query?.status ? splitList(req.query.status).map((s) => s.toLowerCase()) : ['open', 'acknowledged'];
+	const badStatus = statuses.find((s) => !ALERT_STATUSES.includes(s));
+	if (badStatus) {
+		return res.status(400).json({ success: false, error: `status must be one of ${ALERT_STATUSES.join(', ')}` });
+	}
+	const limit = Math.max(1, Math.min(500, Number(req.query?.limit ?? 100) || 100));
+
+	try {
+		const supabase = createVendorServiceClient();
+		let q = supabase
+			.from('alerts')
+			.select('*,godowns(id,name,address)')
+			.in('status', statuses)
+			.order('created_at', { ascending: false })
+			.limit(limit);
+		if (req.query?.type) q = q.eq('type', String(req.query.type));
+		if (req.query?.godownId) q = q.eq('godown_id', String(req.query.godownId));
+
+		const { data, error } = await q;
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		return res.json({ success: true, alerts: data || [] });
+	} catch (e) {
+		console.error('Admin alerts failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// PATCH /api/admin/alerts/:id
+// Body: { status: 'acknowledged', note? }. Capacity alerts resolve by themselves once the godown
+// drops below its threshold; an acknowledged alert stays visible until then.
+router.patch('/alerts/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'alerts.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	const status = String(req.body?.status || 'acknowledged').trim().toLowerCase();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	if (status !== 'acknowledged') return res.status(400).json({ success: false, error: 'status must be acknowledged' });
+
+	try {
+		const supabase = createVendorServiceClient();
+		const { data, error } = await supabase
+			.from('alerts')
+			.update({
+				status,
+				acknowledged_at: new Date().toISOString(),
+				acknowledged_by: admin.userId,
+				note: optionalText(req.body?.note),
+			})
+			.eq('id', id)
+			.eq('status', 'open')
+			.select('*')
+			.maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!data) {
+			const { data: existing, error: exErr } = await supabase.from('alerts').select('id,status').eq('id', id).maybeSingle();
+			if (exErr) return res.status(400).json({ success: false, error: exErr.message });
+			if (!existing) return res.status(404).json({ success: false, error: 'alert not found' });
+			return res.status(409).json({ success: false, error: `alert is already ${existing.status}` });
+		}
+
+		await recordAudit(admin, { action: 'alert.acknowledge', entity: 'alerts', entityId: id, before: { status: 'open' }, after: data });
+		return res.json({ success: true, alert: data });
+	} catch (e) {
+		console.error('Admin acknowledge alert failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/pickups
+// Query: status (admin label), dbStatus, vendorRef, customerId, scrapTypeId (comma-separated lists),
+// createdFrom, createdTo, timeSlot, q (address search), limit, cursor (from a previous nextCursor)
+router.get('/pickups', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'pickups.view');
+	if (!admin) return;
+
+	const limitRaw = req.query?.limit;
+	const limit = Math.max(1, Math.min(500, Number(limitRaw ?? 200) || 200));
+
+	const { filters, error: filterError } = parsePickupFilters(req.query);
+	if (filterError) return res.status(400).json({ success: false, error: filterError });
+
+	try {
+		const supabase = createCustomerServiceClient();
+
+		// Fetch one extra row to know whether another page exists.
+		const { data, error } = await applyPickupFilters(supabase.from('pickups').select(pickupSelect(filters)), filters).limit(limit + 1);
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		const hasMore = (data || []).length > limit;
+		const pickups = (data || []).slice(0, limit);
+		const nextCursor = hasMore ? encodeCursor(pickups[pickups.length - 1]) : null;
+
+		// Enrich customer names/phones (best-effort)
+		const customersById = await loadCustomersById(supabase, pickups.map((p) => p.customer_id));
+
+		// Optional: compute an estimated amount using the rate in force when each pickup was created.
+		// Without rates the amounts are null and ratesUnavailable is set, rather than reading as 0.
+		let rateHistory = null;
+		try {
+			const typeIds = pickups.flatMap((p) => (p.pickup_items || []).map((it) => it.scrap_type_id));
+			rateHistory = await getRateHistoryByType(supabase, typeIds);
+		} catch (e) {
+			console.error('Could not load rate history for pickups', e);
+		}
+
+		const rows = (pickups || []).map((p) => {
+			const items = Array.isArray(p.pickup_items) ? p.pickup_items : [];
+			const firstName = items?.[0]?.scrap_types?.name || null;
+			const scrapLabel =
+				items.length === 0
+					? '—'
+					: items
+						.map((it) => it?.scrap_types?.name)
+						.filter(Boolean)
+						.join(', ');
+
+			const weightKg = items.reduce((acc, it) => acc + itemKg(it, it?.estimated_quantity), 0);
+			const amountInr = rateHistory
+				? items.reduce((acc, it) => {
+					const r = rateInForceAt(rateHistory, it?.scrap_type_id, p.created_at);
+					const rate = safeNumber(r?.rate_per_kg, 0);
+					return acc + safeNumber(it?.estimated_quantity, 0) * rate;
+				}, 0)
+				: null;
+
+			const customer = customersById.get(p.customer_id) || null;
+
+			return {
+				id: p.id,
+				createdAt: p.created_at,
+				status: toAdminPickupStatus(p.status),
+				dbStatus: p.status,
+				customerId: p.customer_id,
+				customerName: customer?.full_name || customer?.email || null,
+				customerPhone: customer?.phone || null,
+				address: p.address || null,
+				timeSlot: p.time_slot || null,
+				vendorRef: p.assigned_vendor_ref || null,
+				scrapType: firstName || scrapLabel,
+				weightKg,
+				amountInr: amountInr == null ? null : Math.round(amountInr),
+				items: items.map((it) => ({
+					id: it.id,
+					scrapTypeId: it.scrap_type_id,
+					scrapTypeName: it?.scrap_types?.name || null,
+					unit: itemUnit(it),
+					estimatedQuantity: safeNumber(it.estimated_quantity, 0),
+					estimatedQuantityKg: itemUnit(it) === 'kg' ? safeNumber(it.estimated_quantity, 0) : null,
+				})),
+			};
+		});
+
+		return res.json({ success: true, pickups: rows, nextCursor, ratesUnavailable: !rateHistory });
+	} catch (e) {
+		console.error('Admin pickups failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/pickups/:id
+// One pickup with items (rate in force at creation), customer, assigned vendor and a status timeline.
+router.get('/pickups/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'pickups.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+
+		const { data: p, error } = await supabase
+			.from('pickups')
+			.select('*,pickup_items(*,scrap_types(id,name,unit))')
+			.eq('id', id)
+			.maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!p) return res.status(404).json({ success: false, error: 'pickup not found' });
+
+		const items = Array.isArray(p.pickup_items) ? p.pickup_items : [];
+
+		// Best-effort: without rates the amounts are null and ratesUnavailable is set.
+		let rateHistory = null;
+		try {
+			rateHistory = await getRateHistoryByType(supabase, items.map((it) => it.scrap_type_id));
+		} catch (e) {
+			console.error('Could not load rate history for pickup', e);
+		}
+
+		// Enrich customer + vendor (best-effort)
+		let customer = null;
+		if (p.customer_id) {
+			try {
+				const { data: profile, error: profErr } = await supabase.from('profiles').select('*').eq('id', p.customer_id).maybeSingle();
+				if (!profErr) customer = profile || null;
+			} catch {
+				// ignore enrichment errors
+			}
+		}
+
+		let vendor = null;
+		if (p.assigned_vendor_ref) {
+			try {
+				const vendorDb = createVendorServiceClient();
+				const { data: v, error: vErr } = await vendorDb
+					.from('vendor_backends')
+					.select('*')
+					.eq('vendor_ref', p.assigned_vendor_ref)
+					.maybeSingle();
+				if (!vErr) vendor = v || null;
+			} catch {
+				// ignore enrichment errors
+			}
+		}
+
+		const rows = items.map(({ scrap_types: scrapType, ...it }) => {
+			const rate = rateHistory ? rateInForceAt(rateHistory, it.scrap_type_id, p.created_at) : null;
+			const ratePerKg = rate ? safeNumber(rate.rate_per_kg, 0) : null;
+			const qty = safeNumber(it.estimated_quantity, 0);
+			return {
+				...it,
+				scrapTypeId: it.scrap_type_id,
+				scrapTypeName: scrapType?.name || null,
+				unit: scrapType?.unit || 'kg',
+				estimatedQuantity: qty,
+				estimatedQuantityKg: (scrapType?.unit || 'kg') === 'kg' ? qty : null,
+				ratePerKg,
+				rateEffectiveFrom: rate?.effective_from ?? null,
+				amountInr: ratePerKg == null ? null : qty * ratePerKg,
+			};
+		});
+
+		const { pickup_items: _items, ...pickup } = p;
+
+		return res.json({
+			success: true,
+			pickup: {
+				...pickup,
+				adminStatus: toAdminPickupStatus(p.status),
+				weightKg: rows.reduce((acc, it) => acc + safeNumber(it.estimatedQuantityKg, 0), 0),
+				amountInr: rateHistory ? Math.round(rows.reduce((acc, it) => acc + safeNumber(it.amountInr, 0), 0)) : null,
+			},
+			ratesUnavailable: !rateHistory,
+			items: rows,
+			customer,
+			vendor,
+			timeline: buildPickupTimeline(p),
+		});
+	} catch (e) {
+		console.error('Admin pickup detail failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// Receipt content for a completed pickup: weighed quantities (estimates for items completed before
+// weighing was recorded) at the rate in force at completion.
+async function buildPickupReceiptData(supabase, p) {
+	const items = Array.isArray(p.pickup_items) ? p.pickup_items : [];
+	const rateHistory = await getRateHistoryByType(supabase, items.map((it) => it.scrap_type_id));
+
+	let customer = null;
+	if (p.customer_id) {
+		const { data: profile, error } = await supabase.from('profiles').select('id,full_name,phone').eq('id', p.customer_id).maybeSingle();
+		if (error) throw error;
+		customer = profile || null;
+	}
+
+	const lines = items.map((it) => {
+		const rate = rateInForceAt(rateHistory, it.scrap_type_id, p.completed_at);
+		const quantity = safeNumber(it.actual_quantity ?? it.estimated_quantity, 0);
+		const rateInr = rate ? safeNumber(rate.rate_per_kg, 0) : null;
+		return {
+			scrapTypeId: it.scrap_type_id,
+			scrapTypeName: it.scrap_types?.name || null,
+			unit: itemUnit(it),
+			quantity,
+			weighed: it.actual_quantity != null,
+			rateInr,
+			amountInr: rateInr == null ? null : Math.round(quantity * rateInr * 100) / 100,
+		};
+	});
+
+	return {
+		pickup: { id: p.id, address: p.address || null, completedAt: p.completed_at ?? null },
+		customer: { id: p.customer_id ?? null, name: customer?.full_name || null, phone: customer?.phone || null },
+		items: lines,
+		totals: {
+			weightKg: lines.reduce((acc, it) => acc + (it.unit === 'kg' ? it.quantity : 0), 0),
+			amountInr: Math.round(lines.reduce((acc, it) => acc + safeNumber(it.amountInr, 0), 0) * 100) / 100,
+		},
+	};
+}
+
+// GET /api/admin/pickups/:id/receipt.pdf
+// Completed pickups only. The first request issues the next receipt number and stores the receipt;
+// later requests reprint the same receipt.
+router.get('/pickups/:id/receipt.pdf', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'pickups.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+
+		const { data: existing, error } = await supabase.from('pickup_receipts').select('*').eq('pickup_id', id).maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		let receipt = existing;
+
+		if (!receipt) {
+			const { data: p, error: pErr } = await supabase
+				.from('pickups')
+				.select('id,status,address,customer_id,completed_at,pickup_items(scrap_type_id,estimated_quantity,actual_quantity,scrap_types(name,unit))')
+				.eq('id', id)
+				.maybeSingle();
+			if (pErr) return res.status(400).json({ success: false, error: pErr.message });
+			if (!p) return res.status(404).json({ success: false, error: 'pickup not found' });
+			if (String(p.status).toUpperCase() !== 'COMPLETED') {
+				return res.status(409).json({ success: false, error: 'receipts are only issued for completed pickups' });
+			}
+
+			const data = await buildPickupReceiptData(supabase, p);
+			const { data: issued, error: issueErr } = await supabase.rpc('issue_pickup_receipt', {
+				p_pickup_id: id,
+				p_data: data,
+				p_issued_by: admin.userId,
+			});
+			if (issueErr) return res.status(400).json({ success: false, error: issueErr.message });
+			receipt = Array.isArray(issued) ? issued[0] : issued;
+			await recordAudit(admin, {
+				action: 'receipt.issue',
+				entity: 'pickup_receipts',
+				entityId: receipt.id,
+				after: { pickupId: id, receiptNumber: receipt.receipt_number },
+			});
+		}
+
+		const receiptNumber = formatReceiptNumber(receipt.receipt_number);
+		const pdf = await renderReceiptPdf({ ...receipt.data, receiptNumber, issuedAt: receipt.issued_at });
+
+		res.setHeader('Content-Type', 'application/pdf');
+		res.setHeader('Content-Disposition', `attachment; filename="receipt-${receiptNumber.replace(/[^\w.-]/g, '_')}.pdf"`);
+		return res.send(pdf);
+	} catch (e) {
+		console.error('Admin pickup receipt failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+function getVendorLocationStaleMinutes() {
+	const n = Number(process.env.VENDOR_LOCATION_STALE_MINUTES);
+	return Number.isFinite(n) && n > 0 ? n : 30;
+}
+
+// Nearest godowns that can take a pickup's weight (weighed quantities, else estimates) without
+// going over their alert threshold. Returns { pickup, weightKg, suggestions } or { httpStatus, error }.
+async function suggestGodownsForPickup(id, limit = 5) {
+	const supabase = createCustomerServiceClient();
+	const { data: p, error } = await supabase
+		.from('pickups')
+		.select('id,status,latitude,longitude,pickup_items(estimated_quantity,actual_quantity,scrap_types(unit))')
+		.eq('id', id)
+		.maybeSingle();
+	if (error) return { httpStatus: 400, error: error.message };
+	if (!p) return { httpStatus: 404, error: 'pickup not found' };
+	if (p.latitude == null || p.longitude == null) return { httpStatus: 422, error: 'pickup has no coordinates' };
+
+	let weightKg = 0;
+	for (const it of p.pickup_items || []) weightKg += itemKg(it, it.actual_quantity ?? it.estimated_quantity);
+
+	const fills = await loadGodownFills(createVendorServiceClient());
+	return {
+		pickup: { id: p.id, status: p.status, latitude: p.latitude, longitude: p.longitude },
+		weightKg: Math.round(weightKg * 100) / 100,
+		suggestions: rankGodownsForDelivery(fills, p.latitude, p.longitude, weightKg).slice(0, limit),
+	};
+}
+
+// GET /api/admin/pickups/:id/vendor-suggestions
+// Query: limit (default 10), maxActive (active pickups a vendor may hold), staleMinutes
+router.get('/pickups/:id/vendor-suggestions', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'pickups.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	const limit = Math.max(1, Math.min(100, Number(req.query?.limit ?? 10) || 10));
+	const maxActive = req.query?.maxActive === undefined ? getMaxActivePickupsPerVendor() : Number(req.query.maxActive);
+	const staleMinutes = req.query?.staleMinutes === undefined ? getVendorLocationStaleMinutes() : Number(req.query.staleMinutes);
+	if (!Number.isFinite(maxActive) || maxActive < 1) {
+		return res.status(400).json({ success: false, error: 'maxActive must be a positive number' });
+	}
+	if (!Number.isFinite(staleMinutes) || staleMinutes <= 0) {
+		return res.status(400).json({ success: false, error: 'staleMinutes must be a positive number' });
+	}
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const { data: p, error } = await supabase
+			.from('pickups')
+			.select('id,status,latitude,longitude,assigned_vendor_ref,pickup_items(scrap_type_id)')
+			.eq('id', id)
+			.maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!p) return res.status(404).json({ success: false, error: 'pickup not found' });
+		if (p.latitude == null || p.longitude == null) {
+			return res.status(422).json({ success: false, error: 'pickup has no coordinates' });
+		}
+
+		const vendorDb = createVendorServiceClient();
+		const vendors = await loadAllVendors(vendorDb);
+
+		const activeByVendor = await countActivePickupsByVendor(supabase);
+		const staleBefore = Date.now() - staleMinutes * 60 * 1000;
+
+		const scrapTypeIds = Array.from(new Set((p.pickup_items || []).map((it) => it.scrap_type_id)));
+
+		const suggestions = [];
+		const excluded = [];
+		const candidates = [];
+		for (const v of vendors || []) {
+			if (!isVendorActive(v)) excluded.push({ vendorRef: v.vendor_ref ?? null, reason: 'suspended' });
+			else if (!vendorCoordinates(v)) excluded.push({ vendorRef: v.vendor_ref ?? null, reason: 'no_location' });
+			else candidates.push(v);
+		}
+		for (const { vendor: v, distanceKm } of rankVendorsByDistance(candidates, p.latitude, p.longitude)) {
+			const activePickups = activeByVendor.get(v.vendor_ref) || 0;
+			const reason = vendorIneligibilityReason(v, distanceKm, scrapTypeIds);
+			if (reason === 'outside_service_radius') {
+				excluded.push({ vendorRef: v.vendor_ref ?? null, reason, distanceKm: Math.round(distanceKm * 100) / 100 });
+				continue;
+			}
+			if (reason) {
+				excluded.push({ vendorRef: v.vendor_ref ?? null, reason });
+				continue;
+			}
+			if (activePickups >= maxActive) {
+				excluded.push({ vendorRef: v.vendor_ref ?? null, reason: 'at_capacity', activePickups });
+				continue;
+			}
+			const c = vendorCoordinates(v);
+			suggestions.push({
+				vendorId: v.vendor_id ?? null,
+				vendorRef: v.vendor_ref ?? null,
+				distanceKm: Math.round(distanceKm * 100) / 100,
+				latitude: c.latitude,
+				longitude: c.longitude,
+				updatedAt: v.updated_at ?? null,
+				locationStale: !v.updated_at || new Date(v.updated_at).getTime() < staleBefore,
+				activePickups,
+				isCurrentAssignee: Boolean(p.assigned_vendor_ref && v.vendor_ref === p.assigned_vendor_ref),
+			});
+		}
+
+		return res.json({
+			success: true,
+			pickup: { id: p.id, status: p.status, latitude: p.latitude, longitude: p.longitude, vendorRef: p.assigned_vendor_ref || null },
+			maxActive,
+			staleMinutes,
+			suggestions: suggestions.slice(0, limit),
+			excluded,
+		});
+	} catch (e) {
+		console.error('Admin vendor suggestions failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/pickups/:id/godown-suggestions
+// Query: limit (default 5)
+router.get('/pickups/:id/godown-suggestions', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'pickups.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	const limit = Math.max(1, Math.min(50, Number(req.query?.limit ?? 5) || 5));
+
+	try {
+		const result = await suggestGodownsForPickup(id, limit);
+		if (result.error) return res.status(result.httpStatus).json({ success: false, error: result.error });
+		return res.json({ success: true, ...result });
+	} catch (e) {
+		console.error('Admin godown suggestions failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/pickups/:id/assign
+// Body: { vendorRef, expiresInMinutes? }
+router.post('/pickups/:id/assign', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'pickups.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	const { vendorRef, expiresAt, error: bodyError } = parseAssignmentBody(req.body);
+	if (bodyError) return res.status(400).json({ success: false, error: bodyError });
+
+	try {
+		const vendorError = await checkVendorAssignable(vendorRef);
+		if (vendorError) return res.status(400).json({ success: false, error: vendorError });
+
+		const supabase = createCustomerServiceClient();
+		const result = await transitionPickup(supabase, id, 'ASSIGNED', {
+			assigned_vendor_ref: vendorRef,
+			assignment_expires_at: expiresAt,
+			assigned_at: new Date().toISOString(),
+		}, (current) => {
+			if (String(current.status).toUpperCase() !== 'PENDING') {
+				return { httpStatus: 409, error: 'pickup is already assigned, use reassign instead' };
+			}
+			return null;
+		});
+		if (result.pickup) {
+			await recordAssignment(supabase, {
+				pickupId: id,
+				vendorRef,
+				assignedAt: result.pickup.assigned_at,
+				expiresAt,
+				source: 'admin',
+			});
+		}
+		await auditTransition(admin, 'pickup.assign', result);
+		return sendTransitionResult(res, result);
+	} catch (e) {
+		console.error('Admin assign pickup failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/pickups/:id/reassign
+// Body: { vendorRef, expiresInMinutes? }
+router.post('/pickups/:id/reassign', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'pickups.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	const { vendorRef, expiresAt, error: bodyError } = parseAssignmentBody(req.body);
+	if (bodyError) return res.status(400).json({ success: false, error: bodyError });
+
+	try {
+		const vendorError = await checkVendorAssignable(vendorRef);
+		if (vendorError) return res.status(400).json({ success: false, error: vendorError });
+
+		const supabase = createCustomerServiceClient();
+		const result = await transitionPickup(supabase, id, 'ASSIGNED', {
+			assigned_vendor_ref: vendorRef,
+			assignment_expires_at: expiresAt,
+			assigned_at: new Date().toISOString(),
+		}, (current) => {
+			if (String(current.status).toUpperCase() === 'PENDING') {
+				return { httpStatus: 409, error: 'pickup is not assigned yet, use assign instead' };
+			}
+			if (current.assigned_vendor_ref === vendorRef) {
+				return { httpStatus: 400, error: 'pickup is already assigned to this vendor' };
+			}
+			return null;
+		});
+		if (result.pickup) {
+			await closeAssignment(supabase, { pickupId: id, vendorRef: result.previous.assigned_vendor_ref, outcome: 'reassigned' });
+			await recordAssignment(supabase, {
+				pickupId: id,
+				vendorRef,
+				assignedAt: result.pickup.assigned_at,
+				expiresAt,
+				source: 'admin',
+			});
+		}
+		await auditTransition(admin, 'pickup.reassign', result);
+		return sendTransitionResult(res, result);
+	} catch (e) {
+		console.error('Admin reassign pickup failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/pickups/:id/cancel
+// Body: { reason }
+router.post('/pickups/:id/cancel', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'pickups.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	const reason = String(req.body?.reason || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	if (!reason) return res.status(400).json({ success: false, error: 'reason is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const result = await transitionPickup(supabase, id, 'CANCELLED', {
+			cancelled_at: new Date().toISOString(),
+			cancel_reason: reason,
+		});
+		if (result.pickup) {
+			await closeAssignment(supabase, { pickupId: id, vendorRef: result.previous.assigned_vendor_ref, outcome: 'cancelled' });
+		}
+		await auditTransition(admin, 'pickup.cancel', result);
+		return sendTransitionResult(res, result);
+	} catch (e) {
+		console.error('Admin cancel pickup failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/pickups/:id/complete
+// Body: { items: [{ id, actualQuantity }] } - one entry per pickup_items row, in the scrap type's
+// unit (kg, piece or litre). actualQuantityKg is accepted as a deprecated alias of actualQuantity.
+// The response carries godownSuggestions: nearest godowns with room for the weighed scrap.
+router.post('/pickups/:id/complete', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'pickups.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	const input = Array.isArray(req.body?.items) ? req.body.items : null;
+	if (!input || input.length === 0) return res.status(400).json({ success: false, error: 'items is required' });
+
+	const quantities = new Map();
+	for (const it of input) {
+		const itemId = String(it?.id ?? '').trim();
+		const raw = it?.actualQuantity ?? it?.actualQuantityKg;
+		const qty = raw == null || raw === '' ? NaN : Number(raw);
+		if (!itemId) return res.status(400).json({ success: false, error: 'each item needs an id' });
+		if (!Number.isFinite(qty) || qty < 0) {
+			return res.status(400).json({ success: false, error: `actualQuantity must be a non-negative number (item ${itemId})` });
+		}
+		quantities.set(itemId, qty);
+	}
+
+	try {
+		const supabase = createCustomerServiceClient();
+
+		const { data: items, error: itemsErr } = await supabase.from('pickup_items').select('id').eq('pickup_id', id);
+		if (itemsErr) return res.status(400).json({ success: false, error: itemsErr.message });
+
+		const itemIds = (items || []).map((it) => String(it.id));
+		const missing = itemIds.filter((itemId) => !quantities.has(itemId));
+		const unknown = Array.from(quantities.keys()).filter((itemId) => !itemIds.includes(itemId));
+		if (missing.length > 0 || unknown.length > 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'items must list every item of this pickup exactly once',
+				missingItemIds: missing,
+				unknownItemIds: unknown,
+			});
+		}
+
+		// Weighed quantities and the status change are written in one transaction (complete_pickup).
+		const result = await transitionPickup(supabase, id, 'COMPLETED', null, null, (current) =>
+			supabase
+				.rpc('complete_pickup', {
+					p_pickup_id: id,
+					p_from_status: current.status,
+					p_quantities: Array.from(quantities, ([itemId, qty]) => ({ id: itemId, actual_quantity: qty })),
+				})
+				.select(TRANSITION_RESULT_COLUMNS)
+				.maybeSingle()
+		);
+		if (result.error) return sendTransitionResult(res, result);
+		await closeAssignment(supabase, { pickupId: id, vendorRef: result.previous.assigned_vendor_ref, outcome: 'completed' });
+		await auditTransition(admin, 'pickup.complete', result, { actualQuantities: Object.fromEntries(quantities) });
+
+		// Where to deliver the scrap; a failed lookup must not hide the completed transition.
+		let godownSuggestions = null;
+		try {
+			const suggested = await suggestGodownsForPickup(id);
+			if (!suggested.error) godownSuggestions = suggested.suggestions;
+		} catch (e) {
+			console.error('Godown suggestions after completion failed', e);
+		}
+		return sendTransitionResult(res, result, { godownSuggestions });
+	} catch (e) {
+		console.error('Admin complete pickup failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/scrap-types?includeArchived=true
+router.get('/scrap-types', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.view');
+	if (!admin) return;
+
+	const includeArchived = String(req.query?.includeArchived || '').toLowerCase() === 'true';
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const rows = await loadScrapTypeRows(supabase, { includeArchived });
+		return res.json({ success: true, scrapTypes: rows });
+	} catch (e) {
+		console.error('Admin scrap-types failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// Validates unit/category from a request body into a DB patch. Returns { patch } or { error }.
+function parseScrapTypeAttributes(body) {
+	const patch = {};
+	if (body?.unit !== undefined) {
+		const unit = String(body.unit || '').trim().toLowerCase();
+		if (!SCRAP_UNITS.includes(unit)) return { error: `unit must be one of ${SCRAP_UNITS.join(', ')}` };
+		patch.unit = unit;
+	}
+	if (body?.category !== undefined) {
+		const category = body.category == null ? null : String(body.category).trim().toLowerCase() || null;
+		if (category !== null && !SCRAP_CATEGORIES.includes(category)) {
+			return { error: `category must be one of ${SCRAP_CATEGORIES.join(', ')}` };
+		}
+		patch.category = category;
+	}
+	return { patch };
+}
+
+// Number of rows per table that refer to a scrap type.
+async function countScrapTypeReferences(supabase, id) {
+	const references = {};
+	for (const table of ['pickup_items', 'scrap_rates', 'scrap_rate_approvals']) {
+		const { count, error } = await supabase.from(table).select('id', { count: 'exact', head: true }).eq('scrap_type_id', id);
+		if (error) throw error;
+		references[table] = count || 0;
+	}
+	return references;
+}
+
+// POST /api/admin/scrap-types
+// Body: { name, unit? (default kg), category? }
+router.post('/scrap-types', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.manage');
+	if (!admin) return;
+
+	const name = String(req.body?.name || '').trim();
+	if (!name) return res.status(400).json({ success: false, error: 'name is required' });
+	const { patch: attrs, error: attrError } = parseScrapTypeAttributes(req.body);
+	if (attrError) return res.status(400).json({ success: false, error: attrError });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const { data, error } = await supabase
+			.from('scrap_types')
+			.insert([{ unit: 'kg', ...attrs, name }])
+			.select(SCRAP_TYPE_COLUMNS)
+			.single();
+
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		await recordAudit(admin, { action: 'scrap_type.create', entity: 'scrap_types', entityId: data.id, after: data });
+		return res.status(201).json({ success: true, scrapType: toScrapType(data) });
+	} catch (e) {
+		console.error('Admin create scrap-type failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// PATCH /api/admin/scrap-types/:id
+// Body: { name?, unit?, category?, archived? } - archived types drop out of customer-facing
+// lists and the rate sheet but stay on historical pickups. The unit is fixed (409) once pickups or
+// rates refer to the type.
+router.patch('/scrap-types/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	const { patch, error: attrError } = parseScrapTypeAttributes(req.body);
+	if (attrError) return res.status(400).json({ success: false, error: attrError });
+	if (req.body?.name !== undefined) {
+		patch.name = String(req.body.name || '').trim();
+		if (!patch.name) return res.status(400).json({ success: false, error: 'name cannot be empty' });
+	}
+	if (req.body?.archived !== undefined) {
+		const archived = String(req.body.archived).trim().toLowerCase();
+		if (archived !== 'true' && archived !== 'false') return res.status(400).json({ success: false, error: 'archived must be true or false' });
+		patch.archived_at = archived === 'true' ? new Date().toISOString() : null;
+	}
+
+	if (Object.keys(patch).length === 0) {
+		return res.status(400).json({ success: false, error: 'No fields to update' });
+	}
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const { data: existing, error: exErr } = await supabase.from('scrap_types').select(SCRAP_TYPE_COLUMNS).eq('id', id).maybeSingle();
+		if (exErr) return res.status(400).json({ success: false, error: exErr.message });
+		if (!existing) return res.status(404).json({ success: false, error: 'scrap type not found' });
+
+		// Re-archiving keeps the original archived_at.
+		if (patch.archived_at && existing.archived_at) delete patch.archived_at;
+
+		// Quantities and rates already recorded are in the old unit.
+		if (patch.unit !== undefined && patch.unit !== existing.unit) {
+			const references = await countScrapTypeReferences(supabase, id);
+			if (references.pickup_items > 0 || references.scrap_rates > 0) {
+				return res.status(409).json({
+					success: false,
+					error: 'unit cannot change once pickups or rates use this scrap type; create a new type instead',
+					references,
+				});
+			}
+		}
+		if (Object.keys(patch).length === 0) return res.json({ success: true, scrapType: toScrapType(existing) });
+
+		const { data, error } = await supabase.from('scrap_types').update(patch).eq('id', id).select(SCRAP_TYPE_COLUMNS).maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!data) return res.status(404).json({ success: false, error: 'scrap type not found' });
+
+		await recordAudit(admin, { action: 'scrap_type.update', entity: 'scrap_types', entityId: id, before: existing, after: data });
+		return res.json({ success: true, scrapType: toScrapType(data) });
+	} catch (e) {
+		console.error('Admin update scrap-type failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// DELETE /api/admin/scrap-types/:id
+// Only for types nothing refers to; otherwise 409 with reference counts (archive it instead).
+router.delete('/scrap-types/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+
+		const references = await countScrapTypeReferences(supabase, id);
+		if (Object.values(references).some((n) => n > 0)) {
+			return res.status(409).json({
+				success: false,
+				error: 'scrap type is still referenced; archive it instead',
+				references,
+			});
+		}
+
+		const { data, error } = await supabase.from('scrap_types').delete().eq('id', id).select(SCRAP_TYPE_COLUMNS).maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!data) return res.status(404).json({ success: false, error: 'scrap type not found' });
+
+		await recordAudit(admin, { action: 'scrap_type.delete', entity: 'scrap_types', entityId: id, before: data });
+		return res.json({ success: true, scrapType: toScrapType(data) });
+	} catch (e) {
+		console.error('Admin delete scrap-type failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/scrap-rates
+// Body: { scrapTypeId, ratePerKg, effectiveFrom? } - ratePerKg is per the type's unit (kg, piece,
+// litre). A future effectiveFrom schedules the rate
+// and leaves the current one in force until then. A change larger than RATE_MAX_CHANGE_PERCENT
+// is not applied; it becomes a pending approval for another admin (202).
+router.post('/scrap-rates', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.manage');
+	if (!admin) return;
+
+	const scrapTypeId = String(req.body?.scrapTypeId || '').trim();
+	const ratePerKg = Number(req.body?.ratePerKg);
+
+	if (!scrapTypeId) return res.status(400).json({ success: false, error: 'scrapTypeId is required' });
+	if (!Number.isFinite(ratePerKg) || ratePerKg <= 0) {
+		return res.status(400).json({ success: false, error: 'ratePerKg must be a positive number' });
+	}
+
+	let effectiveFrom = null;
+	if (req.body?.effectiveFrom != null && req.body.effectiveFrom !== '') {
+		effectiveFrom = new Date(req.body.effectiveFrom);
+		if (Number.isNaN(effectiveFrom.getTime())) {
+			return res.status(400).json({ success: false, error: 'effectiveFrom must be a valid date' });
+		}
+	}
+
+	try {
+		const supabase = createCustomerServiceClient();
+
+		const { data: type, error: typeErr } = await supabase.from('scrap_types').select('id,archived_at').eq('id', scrapTypeId).maybeSingle();
+		if (typeErr) return res.status(400).json({ success: false, error: typeErr.message });
+		if (!type) return res.status(404).json({ success: false, error: 'scrap type not found' });
+		if (type.archived_at) return res.status(409).json({ success: false, error: 'scrap type is archived' });
+
+		const current = (await getActiveRateByType(supabase)).get(scrapTypeId) || null;
+		const changePercent = rateChangePercent(current?.rate_per_kg, ratePerKg);
+		const maxPercent = getRateMaxChangePercent();
+		if (changePercent != null && changePercent > maxPercent) {
+			const approval = await createRateApproval(supabase, {
+				scrapTypeId,
+				ratePerKg,
+				effectiveFrom,
+				currentRatePerKg: current.rate_per_kg,
+				changePercent,
+				requestedBy: admin.userId,
+			});
+			await recordAudit(admin, {
+				action: 'scrap_rate.request_approval',
+				entity: 'scrap_rate_approvals',
+				entityId: approval.id,
+				before: current,
+				after: approval,
+			});
+			return res.status(202).json({
+				success: true,
+				pendingApproval: approval,
+				message: `Change of ${changePercent.toFixed(1)}% exceeds the ${maxPercent}% limit and needs approval by another admin`,
+			});
+		}
+
+		const { rate, error } = await auditedRateChange(
+			admin,
+			{ action: 'scrap_rate.set', entity: 'scrap_types', entityId: scrapTypeId, before: current, after: { ratePerKg, effectiveFrom } },
+			() => applyScrapRate(supabase, { scrapTypeId, ratePerKg, effectiveFrom })
+		);
+		if (error) return res.status(400).json({ success: false, error });
+
+		return res.status(201).json({ success: true, rate });
+	} catch (e) {
+		console.error('Admin set rate failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/scrap-rates/approvals?status=pending
+router.get('/scrap-rates/approvals', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.view');
+	if (!admin) return;
+
+	const status = String(req.query?.status || 'pending').trim().toLowerCase();
+	if (status !== 'all' && !RATE_APPROVAL_STATUSES.includes(status)) {
+		return res.status(400).json({ success: false, error: `status must be one of ${RATE_APPROVAL_STATUSES.join(', ')}, all` });
+	}
+
+	try {
+		const supabase = createCustomerServiceClient();
+		let q = supabase
+			.from('scrap_rate_approvals')
+			.select('*,scrap_types(name)')
+			.order('created_at', { ascending: false })
+			.limit(500);
+		if (status !== 'all') q = q.eq('status', status);
+
+		const { data, error } = await q;
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		return res.json({ success: true, approvals: (data || []).map(toRateApproval) });
+	} catch (e) {
+		console.error('Admin rate approvals failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/scrap-rates/approvals/:id/approve
+// Only an admin other than the requester may approve. The rate then goes live (or stays
+// scheduled if its effectiveFrom is still in the future). 409 if the rate in force changed since
+// the request, as the change percentage it was filed with no longer holds.
+router.post('/scrap-rates/approvals/:id/approve', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.approve');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		// Checks, rate change and decision in one transaction (approve_scrap_rate).
+		const { data, error } = await auditedRateChange(
+			admin,
+			{ action: 'scrap_rate.approve', entity: 'scrap_rate_approvals', entityId: id, before: { status: 'pending' }, after: { status: 'approved' } },
+			async () => {
+				const result = await supabase.rpc('approve_scrap_rate', { p_approval_id: id, p_decided_by: admin.userId });
+				return { data: result.data, error: result.error?.message };
+			}
+		);
+		if (error) {
+			let httpStatus = 400;
+			if (/not found/i.test(error)) httpStatus = 404;
+			else if (/different admin/i.test(error)) httpStatus = 403;
+			else if (/already|changed since/i.test(error)) httpStatus = 409;
+			return res.status(httpStatus).json({ success: false, error });
+		}
+
+		return res.json({ success: true, approval: toRateApproval(data.approval), rate: toScrapRate(data.rate) });
+	} catch (e) {
+		console.error('Admin approve rate failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/scrap-rates/approvals/:id/reject
+// Body: { reason? }
+router.post('/scrap-rates/approvals/:id/reject', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.approve');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	const reason = req.body?.reason != null ? String(req.body.reason).trim() || null : null;
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const { approval, httpStatus, error } = await decideRateApproval(supabase, id, admin.userId, 'rejected', reason);
+		if (error) return res.status(httpStatus).json({ success: false, error });
+
+		await recordAudit(admin, {
+			action: 'scrap_rate.reject',
+			entity: 'scrap_rate_approvals',
+			entityId: id,
+			before: { status: 'pending' },
+			after: approval,
+		});
+		return res.json({ success: true, approval: toRateApproval(approval) });
+	} catch (e) {
+		console.error('Admin reject rate failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/scrap-rates/export.csv
+// Current rate sheet; the file can be edited and sent back to POST /scrap-rates/import.
+router.get('/scrap-rates/export.csv', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.view');
+	if (!admin) return;
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const rows = await loadScrapTypeRows(supabase);
+		const date = new Date().toISOString().slice(0, 10);
+
+		res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+		res.setHeader('Content-Disposition', `attachment; filename="scrap-rates-${date}.csv"`);
+		return res.send(toCsv(rows, RATE_SHEET_COLUMNS));
+	} catch (e) {
+		console.error('Admin rate export failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/scrap-rates/import
+// Body: text/csv (options in the query string) or JSON { csv, dryRun, confirmToken, effectiveFrom }.
+// Rows match by scrap_type_id, else by name. A dry run (the default) returns old -> new rate per
+// type plus a confirmToken; resend with dryRun=false and that token to apply all changes at once.
+// Rows above RATE_MAX_CHANGE_PERCENT are not applied but filed as pending approvals.
+router.post('/scrap-rates/import', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.manage');
+	if (!admin) return;
+
+	const isText = typeof req.body === 'string';
+	const opts = { ...(req.query || {}), ...(isText ? {} : req.body || {}) };
+	const csv = isText ? req.body : opts.csv;
+	const dryRun = !(opts.dryRun === false || String(opts.dryRun).toLowerCase() === 'false');
+	const confirmToken = String(opts.confirmToken || '').trim();
+
+	if (!csv || !String(csv).trim()) return res.status(400).json({ success: false, error: 'csv is required' });
+
+	let effectiveFrom = null;
+	if (opts.effectiveFrom != null && opts.effectiveFrom !== '') {
+		const d = new Date(opts.effectiveFrom);
+		if (Number.isNaN(d.getTime())) return res.status(400).json({ success: false, error: 'effectiveFrom must be a valid date' });
+		if (d > new Date()) effectiveFrom = d.toISOString();
+	}
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const scrapTypes = await loadScrapTypeRows(supabase);
+		const { changes, unchanged, errors } = diffRateSheet(parseCsv(csv), scrapTypes, getRateMaxChangePercent());
+		const token = rateSheetConfirmToken(changes, effectiveFrom);
+
+		const summary = {
+			effectiveFrom,
+			changes,
+			unchangedCount: unchanged.length,
+			errors,
+		};
+
+		if (dryRun) {
+			return res.json({ success: true, dryRun: true, valid: errors.length === 0, confirmToken: errors.length === 0 ? token : null, ...summary });
+		}
+
+		if (errors.length > 0) {
+			return res.status(422).json({ success: false, error: 'rate sheet has invalid rows', ...summary });
+		}
+		if (!confirmToken) {
+			return res.status(400).json({ success: false, error: 'confirmToken from a dry run is required to apply' });
+		}
+		if (confirmToken !== token) {
+			return res.status(409).json({ success: false, error: 'rate sheet or current rates changed since the dry run, preview again', ...summary });
+		}
+		const direct = changes.filter((c) => !c.requiresApproval);
+		const guarded = changes.filter((c) => c.requiresApproval);
+
+		const entry = {
+			action: 'scrap_rate.import',
+			entity: 'scrap_rates',
+			entityId: null,
+			before: changes.map((c) => ({ scrapTypeId: c.scrapTypeId, ratePerKg: c.oldRatePerKg })),
+			after: {
+				effectiveFrom,
+				applied: direct.map((c) => ({ scrapTypeId: c.scrapTypeId, ratePerKg: c.newRatePerKg })),
+				forApproval: guarded.map((c) => ({ scrapTypeId: c.scrapTypeId, ratePerKg: c.newRatePerKg })),
+			},
+		};
+		// One transaction: every in-limit rate is replaced and every other row filed for approval, or
+		// nothing changes.
+		const { data, error } = await auditedRateChange(admin, entry, async () => {
+			const result = await supabase.rpc('import_scrap_rate_sheet', {
+				p_changes: direct.map((c) => ({ scrap_type_id: c.scrapTypeId, rate_per_kg: c.newRatePerKg })),
+				p_approvals: guarded.map((c) => ({
+					scrap_type_id: c.scrapTypeId,
+					rate_per_kg: c.newRatePerKg,
+					current_rate_per_kg: c.oldRatePerKg,
+					change_percent: Math.round(c.changePercent * 100) / 100,
+				})),
+				p_requested_by: admin.userId,
+				p_effective_at: effectiveFrom || new Date().toISOString(),
+			});
+			return { data: result.data, error: result.error?.message };
+		});
+		if (error) return res.status(400).json({ success: false, error });
+		const applied = (data?.rates || []).length;
+		const pendingApprovals = (data?.approvals || []).map(toRateApproval);
+
+		return res.json({ success: true, dryRun: false, applied, pendingApprovals, ...summary });
+	} catch (e) {
+		console.error('Admin rate import failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/scrap-rates/history?scrapTypeId=
+// Full rate timeline for one scrap type, newest first.
+router.get('/scrap-rates/history', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.view');
+	if (!admin) return;
+
+	const scrapTypeId = String(req.query?.scrapTypeId || '').trim();
+	if (!scrapTypeId) return res.status(400).json({ success: false, error: 'scrapTypeId is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const { data, error } = await supabase
+			.from('scrap_rates')
+			.select('*')
+			.eq('scrap_type_id', scrapTypeId)
+			.order('effective_from', { ascending: true, nullsFirst: true })
+			.order('id', { ascending: true });
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		const history = new Map([[scrapTypeId, data || []]]);
+		const current = rateInForceAt(history, scrapTypeId, new Date());
+		const now = Date.now();
+
+		const rows = (data || []).map((r, i, all) => {
+			const from = r.effective_from ? new Date(r.effective_from).getTime() : 0;
+			return {
+				id: r.id,
+				ratePerKg: r.rate_per_kg,
+				effectiveFrom: r.effective_from ?? null,
+				effectiveTo: all[i + 1]?.effective_from ?? null,
+				isActive: Boolean(r.is_active),
+				status: from > now ? 'scheduled' : r === current ? 'current' : 'past',
+				createdAt: r.created_at ?? null,
+			};
+		});
+
+		return res.json({ success: true, scrapTypeId, rates: rows.reverse() });
+	} catch (e) {
+		console.error('Admin rate history failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// DELETE /api/admin/scrap-rates/:id
+// Cancels a scheduled rate. Rates that already took effect are history and cannot be removed.
+router.delete('/scrap-rates/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'rates.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const before = await auditSnapshot(supabase, 'scrap_rates', 'id', id);
+		if (!before) return res.status(404).json({ success: false, error: 'rate not found' });
+		if (!before.effective_from || new Date(before.effective_from) <= new Date()) {
+			return res.status(409).json({ success: false, error: 'rate is already in effect' });
+		}
+
+		const { data, error, httpStatus } = await auditedRateChange(
+			admin,
+			{ action: 'scrap_rate.cancel_scheduled', entity: 'scrap_rates', entityId: id, before },
+			async () => {
+				const result = await supabase
+					.from('scrap_rates')
+					.delete()
+					.eq('id', id)
+					.gt('effective_from', new Date().toISOString())
+					.select('id,scrap_type_id,rate_per_kg,effective_from')
+					.maybeSingle();
+				if (result.error) return { httpStatus: 400, error: result.error.message };
+				if (!result.data) return { httpStatus: 409, error: 'rate not found or already in effect' };
+				return { data: result.data };
+			}
+		);
+		if (error) return res.status(httpStatus).json({ success: false, error });
+
+		return res.json({
+			success: true,
+			rate: {
+				id: data.id,
+				scrapTypeId: data.scrap_type_id,
+				ratePerKg: data.rate_per_kg,
+				effectiveFrom: data.effective_from,
+			},
+		});
+	} catch (e) {
+		console.error('Admin cancel scheduled rate failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// -----------------------------
+// Vendor settlements
+// -----------------------------
+
+const SETTLEMENT_STATUSES = ['draft', 'approved', 'paid'];
+
+function roundInr(n) {
+	return Math.round(safeNumber(n, 0) * 100) / 100;
+}
+
+function toStatementLine(l) {
+	return {
+		id: l.id,
+		pickupId: l.pickup_id,
+		pickupItemId: l.pickup_item_id,
+		scrapTypeId: l.scrap_type_id ?? null,
+		scrapTypeName: l.scrap_type_name ?? null,
+		unit: l.unit || 'kg',
+		quantity: safeNumber(l.quantity, 0),
+		rateInr: safeNumber(l.rate_inr, 0),
+		amountInr: safeNumber(l.amount_inr, 0),
+		completedAt: l.completed_at ?? null,
+	};
+}
+
+function toStatementAdjustment(a) {
+	return {
+		id: a.id,
+		amountInr: safeNumber(a.amount_inr, 0),
+		reason: a.reason,
+		createdBy: a.created_by ?? null,
+		createdAt: a.created_at,
+	};
+}
+
+// Statement totals: lines are fixed when the statement is created, adjustments are added on top.
+function toVendorStatement(s, adjustments = []) {
+	const linesTotalInr = roundInr(s.lines_total_inr);
+	const adjustmentsTotalInr = roundInr(adjustments.reduce((sum, a) => sum + safeNumber(a.amount_inr, 0), 0));
+	return {
+		id: s.id,
+		vendorRef: s.vendor_ref,
+		periodStart: s.period_start,
+		periodEnd: s.period_end,
+		status: s.status,
+		linesTotalInr,
+		adjustmentsTotalInr,
+		totalInr: roundInr(linesTotalInr + adjustmentsTotalInr),
+		note: s.note ?? null,
+		createdBy: s.created_by ?? null,
+		createdAt: s.created_at,
+		approvedBy: s.approved_by ?? null,
+		approvedAt: s.approved_at ?? null,
+		paidBy: s.paid_by ?? null,
+		paidAt: s.paid_at ?? null,
+		paymentReference: s.payment_reference ?? null,
+	};
+}
+
+// Returns { statement, lines, adjustments } (raw rows) or { httpStatus, error }.
+async function loadVendorStatement(supabase, id) {
+	const { data: statement, error } = await supabase.from('vendor_statements').select('*').eq('id', id).maybeSingle();
+	if (error) return { httpStatus: 400, error: error.message };
+	if (!statement) return { httpStatus: 404, error: 'statement not found' };
+
+	const [{ data: lines, error: lErr }, { data: adjustments, error: aErr }] = await Promise.all([
+		supabase.from('vendor_statement_lines').select('*').eq('statement_id', id).order('completed_at', { ascending: true }),
+		supabase.from('vendor_statement_adjustments').select('*').eq('statement_id', id).order('created_at', { ascending: true }),
+	]);
+	if (lErr) return { httpStatus: 400, error: lErr.message };
+	if (aErr) return { httpStatus: 400, error: aErr.message };
+	return { statement, lines: lines || [], adjustments: adjustments || [] };
+}
+
+// Builds statement lines for a vendor's pickups completed in [periodStart, periodEnd): one line per
+// weighed item, priced at the rate in force when the pickup was completed. Items already settled
+// on another statement are skipped. Returns { lines, skippedItems } or { httpStatus, error, ... }.
+async function buildStatementLines(supabase, vendorRef, periodStart, periodEnd) {
+	const pickups = [];
+	const pageSize = 1000;
+	for (let offset = 0; ; offset += pageSize) {
+		const { data, error } = await supabase
+			.from('pickups')
+			.select('id,completed_at,pickup_items(id,scrap_type_id,actual_quantity,scrap_types(name,unit))')
+			.eq('status', 'COMPLETED')
+			.eq('assigned_vendor_ref', vendorRef)
+			.gte('completed_at', periodStart)
+			.lt('completed_at', periodEnd)
+			.order('completed_at', { ascending: true })
+			.order('id', { ascending: true })
+			.range(offset, offset + pageSize - 1);
+		if (error) return { httpStatus: 400, error: error.message };
+		pickups.push(...(data || []));
+		if (!data || data.length < pageSize) break;
+	}
+
+	const items = pickups.flatMap((p) => (p.pickup_items || []).map((it) => ({ ...it, pickup: p })));
+	const settled = new Set();
+	for (let i = 0; i < items.length; i += 500) {
+		const ids = items.slice(i, i + 500).map((it) => it.id);
+		const { data, error } = await supabase.from('vendor_statement_lines').select('pickup_item_id').in('pickup_item_id', ids);
+		if (error) return { httpStatus: 400, error: error.message };
+		for (const row of data || []) settled.add(String(row.pickup_item_id));
+	}
+
+	const open = items.filter((it) => !settled.has(String(it.id)));
+	const unweighed = Array.from(new Set(open.filter((it) => it.actual_quantity == null).map((it) => it.pickup.id)));
+	if (unweighed.length > 0) {
+		return { httpStatus: 409, error: 'some completed pickups have items without a weighed quantity', pickupIds: unweighed };
+	}
+
+	const rateHistory = await getRateHistoryByType(supabase, open.map((it) => it.scrap_type_id));
+	const lines = [];
+	const unpriced = [];
+	for (const it of open) {
+		const rate = rateInForceAt(rateHistory, it.scrap_type_id, it.pickup.completed_at);
+		if (!rate) {
+			unpriced.push(it.id);
+			continue;
+		}
+		const quantity = safeNumber(it.actual_quantity, 0);
+		const rateInr = safeNumber(rate.rate_per_kg, 0);
+		lines.push({
+			pickup_id: it.pickup.id,
+			pickup_item_id: it.id,
+			scrap_type_id: it.scrap_type_id,
+			scrap_type_name: it.scrap_types?.name ?? null,
+			unit: itemUnit(it),
+			quantity,
+			rate_inr: rateInr,
+			amount_inr: roundInr(quantity * rateInr),
+			completed_at: it.pickup.completed_at,
+		});
+	}
+	if (unpriced.length > 0) {
+		return { httpStatus: 409, error: 'no rate was in force for some items when their pickup completed', itemIds: unpriced };
+	}
+	return { lines, skippedItems: settled.size };
+}
+
+// Moves a statement from one status to the next. Returns { statement } or { httpStatus, error }.
+async function advanceVendorStatement(supabase, id, from, patch) {
+	const { data, error } = await supabase
+		.from('vendor_statements')
+		.update(patch)
+		.eq('id', id)
+		.eq('status', from)
+		.select('*')
+		.maybeSingle();
+	if (error) return { httpStatus: 400, error: error.message };
+	if (data) return { statement: data };
+
+	const { data: current, error: curErr } = await supabase.from('vendor_statements').select('status').eq('id', id).maybeSingle();
+	if (curErr) return { httpStatus: 400, error: curErr.message };
+	if (!current) return { httpStatus: 404, error: 'statement not found' };
+	return { httpStatus: 409, error: `statement is ${current.status}, expected ${from}` };
+}
+
+async function sendVendorStatement(res, supabase, id, status = 200) {
+	const loaded = await loadVendorStatement(supabase, id);
+	if (loaded.error) return res.status(loaded.httpStatus).json({ success: false, error: loaded.error });
+	return res.status(status).json({
+		success: true,
+		statement: toVendorStatement(loaded.statement, loaded.adjustments),
+		lines: loaded.lines.map(toStatementLine),
+		adjustments: loaded.adjustments.map(toStatementAdjustment),
+	});
+}
+
+// Draft-only changes fail in the database once a statement is approved (see migration 016).
+function statementWriteError(res, error) {
+	if (/statement is not a draft/i.test(error?.message || '')) {
+		return res.status(409).json({ success: false, error: 'only draft statements can be changed' });
+	}
+	return res.status(400).json({ success: false, error: error?.message || 'Could not update statement' });
+}
+
+// GET /api/admin/settlements
+// Query: vendorRef, status (comma-separated draft|approved|paid), limit (default 100, max 500)
+router.get('/settlements', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'settlements.view');
+	if (!admin) return;
+
+	const statuses = splitList(req.query?.status).map((s) => s.toLowerCase());
+	const badStatus = statuses.find((s) => !SETTLEMENT_STATUSES.includes(s));
+	if (badStatus) {
+		return res.status(400).json({ success: false, error: `status must be one of ${SETTLEMENT_STATUSES.join(', ')}` });
+	}
+	const limit = Math.max(1, Math.min(500, Number(req.query?.limit ?? 100) || 100));
+
+	try {
+		const supabase = createCustomerServiceClient();
+		let q = supabase.from('vendor_statements').select('*').order('period_start', { ascending: false }).limit(limit);
+		if (req.query?.vendorRef) q = q.eq('vendor_ref', String(req.query.vendorRef));
+		if (statuses.length > 0) q = q.in('status', statuses);
+		const { data, error } = await q;
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		const statements = data || [];
+		const adjustmentsById = new Map();
+		if (statements.length > 0) {
+			const { data: adjustments, error: aErr } = await supabase
+				.from('vendor_statement_adjustments')
+				.select('statement_id,amount_inr')
+				.in('statement_id', statements.map((s) => s.id));
+			if (aErr) return res.status(400).json({ success: false, error: aErr.message });
+			for (const a of adjustments || []) {
+				if (!adjustmentsById.has(a.statement_id)) adjustmentsById.set(a.statement_id, []);
+				adjustmentsById.get(a.statement_id).push(a);
+			}
+		}
+
+		return res.json({
+			success: true,
+			statements: statements.map((s) => toVendorStatement(s, adjustmentsById.get(s.id))),
+		});
+	} catch (e) {
+		console.error('Admin settlements failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/settlements
+// Body: { vendorRef, periodStart, periodEnd, note? } - a bare periodEnd date includes that whole day.
+// Creates a draft statement from the vendor's pickups completed in the period. Items already on
+// another statement are skipped, so consecutive periods never settle an item twice.
+router.post('/settlements', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'settlements.manage');
+	if (!admin) return;
+
+	const vendorRef = String(req.body?.vendorRef || '').trim();
+	const periodStart = parseDateParam(req.body?.periodStart);
+	const periodEnd = parseDateParam(req.body?.periodEnd, { endOfDay: true });
+	if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+	if (!periodStart.value || !periodEnd.value) {
+		return res.status(400).json({ success: false, error: 'periodStart and periodEnd must be valid dates' });
+	}
+	if (new Date(periodEnd.value) <= new Date(periodStart.value)) {
+		return res.status(400).json({ success: false, error: 'periodEnd must be after periodStart' });
+	}
+
+	try {
+		const vendorDb = createVendorServiceClient();
+		const { data: vendor, error: vErr } = await vendorDb.from('vendor_backends').select('vendor_ref').eq('vendor_ref', vendorRef).maybeSingle();
+		if (vErr) return res.status(400).json({ success: false, error: vErr.message });
+		if (!vendor) return res.status(404).json({ success: false, error: 'vendor not found' });
+
+		const supabase = createCustomerServiceClient();
+		const built = await buildStatementLines(supabase, vendorRef, periodStart.value, periodEnd.value);
+		if (built.error) {
+			const { httpStatus, error, ...details } = built;
+			return res.status(httpStatus).json({ success: false, error, ...details });
+		}
+		if (built.lines.length === 0) {
+			return res.status(409).json({ success: false, error: 'nothing to settle for this vendor and period', skippedItems: built.skippedItems });
+		}
+
+		const { data, error } = await supabase.rpc('create_vendor_statement', {
+			statement: {
+				vendor_ref: vendorRef,
+				period_start: periodStart.value,
+				period_end: periodEnd.value,
+				note: optionalText(req.body?.note),
+				created_by: admin.userId,
+			},
+			lines: built.lines,
+		});
+		if (error) {
+			if (/duplicate key value|vendor_statement_lines_pickup_item_key/i.test(error.message || '')) {
+				return res.status(409).json({ success: false, error: 'some items were settled by another statement meanwhile, retry' });
+			}
+			return res.status(400).json({ success: false, error: error.message });
+		}
+
+		const statement = Array.isArray(data) ? data[0] : data;
+		await recordAudit(admin, {
+			action: 'settlement.create',
+			entity: 'vendor_statements',
+			entityId: statement?.id,
+			after: { ...statement, lineCount: built.lines.length },
+		});
+		return sendVendorStatement(res, supabase, statement?.id, 201);
+	} catch (e) {
+		console.error('Admin create settlement failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/settlements/:id
+router.get('/settlements/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'settlements.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		return await sendVendorStatement(res, createCustomerServiceClient(), id);
+	} catch (e) {
+		console.error('Admin settlement failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// DELETE /api/admin/settlements/:id
+// Discards a draft statement; its pickups can then be settled again.
+router.delete('/settlements/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'settlements.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
 
 	try {
 		const supabase = createCustomerServiceClient();
 		const { data, error } = await supabase
-			.from('scrap_types')
-			.update({ name })
+			.from('vendor_statements')
+			.delete()
 			.eq('id', id)
-			.select('id,name')
+			.eq('status', 'draft')
+			.select('*')
 			.maybeSingle();
+		if (error) return statementWriteError(res, error);
+		if (!data) {
+			const { data: existing, error: exErr } = await supabase.from('vendor_statements').select('status').eq('id', id).maybeSingle();
+			if (exErr) return res.status(400).json({ success: false, error: exErr.message });
+			if (!existing) return res.status(404).json({ success: false, error: 'statement not found' });
+			return res.status(409).json({ success: false, error: `statement is ${existing.status}, only drafts can be deleted` });
+		}
 
-		if (error) return res.status(400).json({ success: false, error: error.message });
-		if (!data) return res.status(404).json({ success: false, error: 'scrap type not found' });
+		await recordAudit(admin, { action: 'settlement.delete', entity: 'vendor_statements', entityId: id, before: data });
+		return res.json({ success: true, id: data.id });
+	} catch (e) {
+		console.error('Admin delete settlement failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/settlements/:id/adjustments
+// Body: { amountInr, reason } - positive adds to what the vendor is owed, negative deducts.
+router.post('/settlements/:id/adjustments', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'settlements.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	const amountInr = Number(req.body?.amountInr);
+	const reason = String(req.body?.reason || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	if (!Number.isFinite(amountInr) || amountInr === 0) {
+		return res.status(400).json({ success: false, error: 'amountInr must be a non-zero number' });
+	}
+	if (!reason) return res.status(400).json({ success: false, error: 'reason is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const { data: statement, error: sErr } = await supabase.from('vendor_statements').select('status').eq('id', id).maybeSingle();
+		if (sErr) return res.status(400).json({ success: false, error: sErr.message });
+		if (!statement) return res.status(404).json({ success: false, error: 'statement not found' });
+		if (statement.status !== 'draft') return res.status(409).json({ success: false, error: 'only draft statements can be changed' });
+
+		const { data: adjustment, error } = await supabase
+			.from('vendor_statement_adjustments')
+			.insert([{ statement_id: id, amount_inr: roundInr(amountInr), reason, created_by: admin.userId }])
+			.select('*')
+			.single();
+		if (error) return statementWriteError(res, error);
 
-		return res.json({ success: true, scrapType: data });
+		await recordAudit(admin, { action: 'settlement.add_adjustment', entity: 'vendor_statement_adjustments', entityId: adjustment.id, after: adjustment });
+		return sendVendorStatement(res, supabase, id, 201);
 	} catch (e) {
-		console.error('Admin update scrap-type failed', e);
+		console.error('Admin settlement adjustment failed', e);
 		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
 	}
 });
 
-// POST /api/admin/scrap-rates
-router.post('/scrap-rates', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+// DELETE /api/admin/settlements/:id/adjustments/:adjustmentId
+router.delete('/settlements/:id/adjustments/:adjustmentId', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'settlements.manage');
 	if (!admin) return;
 
-	const scrapTypeId = String(req.body?.scrapTypeId || '').trim();
-	const ratePerKg = Number(req.body?.ratePerKg);
+	const id = String(req.params.id || '').trim();
+	const adjustmentId = String(req.params.adjustmentId || '').trim();
+	if (!id || !adjustmentId) return res.status(400).json({ success: false, error: 'id and adjustmentId are required' });
 
-	if (!scrapTypeId) return res.status(400).json({ success: false, error: 'scrapTypeId is required' });
-	if (!Number.isFinite(ratePerKg) || ratePerKg <= 0) {
-		return res.status(400).json({ success: false, error: 'ratePerKg must be a positive number' });
+	try {
+		const supabase = createCustomerServiceClient();
+		const { data, error } = await supabase
+			.from('vendor_statement_adjustments')
+			.delete()
+			.eq('id', adjustmentId)
+			.eq('statement_id', id)
+			.select('*')
+			.maybeSingle();
+		if (error) return statementWriteError(res, error);
+		if (!data) return res.status(404).json({ success: false, error: 'adjustment not found' });
+
+		await recordAudit(admin, { action: 'settlement.remove_adjustment', entity: 'vendor_statement_adjustments', entityId: adjustmentId, before: data });
+		return sendVendorStatement(res, supabase, id);
+	} catch (e) {
+		console.error('Admin delete settlement adjustment failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/settlements/:id/approve
+// draft -> approved. Lines and adjustments are frozen from here on.
+router.post('/settlements/:id/approve', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'settlements.approve');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const result = await advanceVendorStatement(supabase, id, 'draft', {
+			status: 'approved',
+			approved_by: admin.userId,
+			approved_at: new Date().toISOString(),
+		});
+		if (result.error) return res.status(result.httpStatus).json({ success: false, error: result.error });
+
+		await recordAudit(admin, { action: 'settlement.approve', entity: 'vendor_statements', entityId: id, before: { status: 'draft' }, after: result.statement });
+		return sendVendorStatement(res, supabase, id);
+	} catch (e) {
+		console.error('Admin approve settlement failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
 	}
+});
+
+// POST /api/admin/settlements/:id/pay
+// Body: { paymentReference } - approved -> paid, e.g. with the bank transfer UTR.
+router.post('/settlements/:id/pay', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'settlements.approve');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	const paymentReference = String(req.body?.paymentReference || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	if (!paymentReference) return res.status(400).json({ success: false, error: 'paymentReference is required' });
 
 	try {
 		const supabase = createCustomerServiceClient();
+		const result = await advanceVendorStatement(supabase, id, 'approved', {
+			status: 'paid',
+			paid_by: admin.userId,
+			paid_at: new Date().toISOString(),
+			payment_reference: paymentReference,
+		});
+		if (result.error) return res.status(result.httpStatus).json({ success: false, error: result.error });
 
-		const { error: deactErr } = await supabase
-			.from('scrap_rates')
-			.update({ is_active: false })
-			.eq('scrap_type_id', scrapTypeId)
-			.eq('is_active', true);
-		if (deactErr) return res.status(400).json({ success: false, error: deactErr.message });
+		await recordAudit(admin, { action: 'settlement.pay', entity: 'vendor_statements', entityId: id, before: { status: 'approved' }, after: result.statement });
+		return sendVendorStatement(res, supabase, id);
+	} catch (e) {
+		console.error('Admin pay settlement failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
 
-		const row = {
-			scrap_type_id: scrapTypeId,
-			rate_per_kg: ratePerKg,
-			is_active: true,
-			effective_from: new Date().toISOString(),
-		};
+const STATEMENT_CSV_COLUMNS = [
+	{ header: 'type', value: (r) => r.type },
+	{ header: 'date', value: (r) => r.date },
+	{ header: 'pickup_id', value: (r) => r.pickupId },
+	{ header: 'scrap_type', value: (r) => r.scrapTypeName },
+	{ header: 'quantity', value: (r) => r.quantity },
+	{ header: 'unit', value: (r) => r.unit },
+	{ header: 'rate_inr', value: (r) => r.rateInr },
+	{ header: 'amount_inr', value: (r) => r.amountInr },
+	{ header: 'description', value: (r) => r.description },
+];
+
+// GET /api/admin/settlements/:id/statement.csv
+// Line items, then adjustments, then a total row.
+router.get('/settlements/:id/statement.csv', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'settlements.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const loaded = await loadVendorStatement(supabase, id);
+		if (loaded.error) return res.status(loaded.httpStatus).json({ success: false, error: loaded.error });
 
-		const { data, error } = await supabase.from('scrap_rates').insert([row]).select('*').single();
+		const statement = toVendorStatement(loaded.statement, loaded.adjustments);
+		const rows = [
+			...loaded.lines.map(toStatementLine).map((l) => ({
+				type: 'pickup',
+				date: l.completedAt,
+				pickupId: l.pickupId,
+				scrapTypeName: l.scrapTypeName,
+				quantity: l.quantity,
+				unit: l.unit,
+				rateInr: l.rateInr,
+				amountInr: l.amountInr,
+			})),
+			...loaded.adjustments.map(toStatementAdjustment).map((a) => ({
+				type: 'adjustment',
+				date: a.createdAt,
+				amountInr: a.amountInr,
+				description: a.reason,
+			})),
+			{
+				type: 'total',
+				amountInr: statement.totalInr,
+				description: `${statement.vendorRef} ${statement.periodStart} - ${statement.periodEnd} (${statement.status})`,
+			},
+		];
+
+		const name = `statement-${statement.vendorRef}-${String(statement.periodStart).slice(0, 10)}`.replace(/[^\w.-]/g, '_');
+		res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+		res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+		return res.send(toCsv(rows, STATEMENT_CSV_COLUMNS));
+	} catch (e) {
+		console.error('Admin settlement CSV failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// -----------------------------
+// Customers (customer project profiles)
+// -----------------------------
+
+// PostgREST `or` filter matching `term` anywhere in any of `columns`. Values are quoted so commas
+// and parentheses in the search term cannot break the filter.
+function ilikeAny(columns, term) {
+	const value = quoteFilterValue(likeContains(term));
+	return columns.map((c) => `${c}.ilike.${value}`).join(',');
+}
+
+// profiles also holds admin and vendor logins in single-project setups. Customers have the
+// customer role, or none on profiles created before roles were set.
+const CUSTOMER_ROLE_FILTER = 'role.eq.customer,role.is.null';
+
+function isCustomerProfile(profile) {
+	return profile.role == null || profile.role === 'customer';
+}
+
+function toCustomer(p) {
+	return {
+		id: p.id,
+		name: p.full_name ?? null,
+		phone: p.phone ?? null,
+		email: p.email ?? null,
+		createdAt: p.created_at ?? null,
+	};
+}
+
+// GET /api/admin/customers
+// Query: q (name, phone or email), limit (default 50, max 200), cursor (from a previous nextCursor).
+// Newest first.
+router.get('/customers', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'customers.view');
+	if (!admin) return;
+
+	const limit = Math.max(1, Math.min(200, Number(req.query?.limit ?? 50) || 50));
+	const search = String(req.query?.q || '').trim();
+	let cursor = null;
+	if (req.query?.cursor) {
+		cursor = decodeCursor(req.query.cursor);
+		if (!cursor) return res.status(400).json({ success: false, error: 'cursor is invalid' });
+	}
+
+	try {
+		const supabase = createCustomerServiceClient();
+		let q = supabase.from('profiles').select('id,full_name,phone,email,created_at');
+		const searchFilter = search ? ilikeAny(['full_name', 'phone', 'email'], search) : null;
+		const cursorFilter = cursor
+			? `created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt."${cursor.id}")`
+			: null;
+		// Each is an OR group; a single or=() keeps them ANDed together.
+		const groups = [CUSTOMER_ROLE_FILTER, searchFilter, cursorFilter].filter(Boolean);
+		q = groups.length > 1 ? q.or(`and(${groups.map((g) => `or(${g})`).join(',')})`) : q.or(groups[0]);
+		const { data, error } = await q
+			.order('created_at', { ascending: false })
+			.order('id', { ascending: false })
+			.limit(limit);
 		if (error) return res.status(400).json({ success: false, error: error.message });
 
-		return res.status(201).json({
+		const rows = data || [];
+		return res.json({
 			success: true,
-			rate: {
-				scrapTypeId: data.scrap_type_id,
-				ratePerKg: data.rate_per_kg,
-				effectiveFrom: data.effective_from,
+			customers: rows.map(toCustomer),
+			nextCursor: rows.length === limit ? encodeCursor(rows[rows.length - 1]) : null,
+		});
+	} catch (e) {
+		console.error('Admin customers failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/customers/:id
+// Query: pickupsLimit (recent pickups returned, default 20, max 100).
+// Profile plus lifetime figures over all of the customer's pickups. Kg and ₹ count completed
+// pickups only, at weighed quantities and the rate in force at completion. Saved addresses are the
+// distinct addresses the customer has booked pickups at, most recently used first.
+router.get('/customers/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'customers.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	const pickupsLimit = Math.max(1, Math.min(100, Number(req.query?.pickupsLimit ?? 20) || 20));
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const { data: profile, error } = await supabase.from('profiles').select('*').eq('id', id).maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!profile || !isCustomerProfile(profile)) return res.status(404).json({ success: false, error: 'customer not found' });
+
+		const { filters } = parsePickupFilters({ customerId: id });
+		const select =
+			'id,status,address,latitude,longitude,time_slot,assigned_vendor_ref,created_at,cancelled_at,cancel_reason,completed_at,' +
+			'pickup_items(scrap_type_id,estimated_quantity,actual_quantity,scrap_types(unit))';
+		const pickups = [];
+		for await (const page of iteratePickups(supabase, filters, select)) pickups.push(...page);
+
+		const rateHistory = await getRateHistoryByType(
+			supabase,
+			pickups.flatMap((p) => (p.pickup_items || []).map((it) => it.scrap_type_id))
+		);
+
+		const countsByStatus = {};
+		const totals = { completedKg: 0, completedAmountInr: 0 };
+		const addresses = new Map();
+		let lastActivityAt = null;
+		const touch = (at) => {
+			if (at && (!lastActivityAt || new Date(at) > new Date(lastActivityAt))) lastActivityAt = at;
+		};
+
+		for (const p of pickups) {
+			const status = String(p.status || '').toUpperCase();
+			countsByStatus[status] = (countsByStatus[status] || 0) + 1;
+			touch(p.created_at);
+			touch(p.cancelled_at);
+			touch(p.completed_at);
+
+			if (status === 'COMPLETED') {
+				for (const it of p.pickup_items || []) {
+					const qty = safeNumber(it.actual_quantity ?? it.estimated_quantity, 0);
+					const rate = rateInForceAt(rateHistory, it.scrap_type_id, p.completed_at);
+					totals.completedKg += itemKg(it, qty);
+					totals.completedAmountInr += qty * safeNumber(rate?.rate_per_kg, 0);
+				}
+			}
+
+			const address = String(p.address || '').trim();
+			if (!address) continue;
+			const key = address.toLowerCase();
+			const saved = addresses.get(key);
+			if (saved) saved.pickups += 1;
+			else {
+				// Pickups are newest first, so the first sighting is the latest use.
+				addresses.set(key, {
+					address,
+					latitude: p.latitude ?? null,
+					longitude: p.longitude ?? null,
+					lastUsedAt: p.created_at,
+					pickups: 1,
+				});
+			}
+		}
+
+		const recentPickups = pickups.slice(0, pickupsLimit).map(({ pickup_items: items, ...p }) => ({
+			...p,
+			adminStatus: toAdminPickupStatus(p.status),
+			itemCount: (items || []).length,
+		}));
+
+		return res.json({
+			success: true,
+			customer: { ...toCustomer(profile), profile },
+			stats: {
+				totalPickups: pickups.length,
+				completed: countsByStatus.COMPLETED || 0,
+				cancelled: countsByStatus.CANCELLED || 0,
+				open: pickups.length - (countsByStatus.COMPLETED || 0) - (countsByStatus.CANCELLED || 0),
+				countsByStatus,
+				totalKg: Math.round(totals.completedKg * 100) / 100,
+				totalAmountInr: Math.round(totals.completedAmountInr),
+				firstPickupAt: pickups.length > 0 ? pickups[pickups.length - 1].created_at : null,
+				lastActivityAt: lastActivityAt || profile.updated_at || profile.created_at || null,
 			},
+			savedAddresses: Array.from(addresses.values()),
+			recentPickups,
 		});
 	} catch (e) {
-		console.error('Admin set rate failed', e);
+		console.error('Admin customer detail failed', e);
 		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
 	}
 });
@@ -418,7 +3747,7 @@ router.post('/scrap-rates', async (req, res) => {
 // GET /api/admin/blog
 // Admin list (includes drafts)
 router.get('/blog', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'content.manage');
 	if (!admin) return;
 
 	try {
@@ -438,7 +3767,7 @@ router.get('/blog', async (req, res) => {
 
 // POST /api/admin/blog
 router.post('/blog', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'content.manage');
 	if (!admin) return;
 
 	try {
@@ -477,6 +3806,7 @@ router.post('/blog', async (req, res) => {
 			return res.status(400).json({ success: false, error: msg });
 		}
 
+		await recordAudit(admin, { action: 'blog_post.create', entity: 'blog_posts', entityId: data?.id, after: data });
 		return res.status(201).json({ success: true, post: data });
 	} catch (e) {
 		console.error('Admin blog create failed', e);
@@ -486,7 +3816,7 @@ router.post('/blog', async (req, res) => {
 
 // PATCH /api/admin/blog/:id
 router.patch('/blog/:id', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'content.manage');
 	if (!admin) return;
 
 	try {
@@ -508,6 +3838,7 @@ router.patch('/blog/:id', async (req, res) => {
 		if (patch.slug != null && !patch.slug) return res.status(400).json({ success: false, error: 'slug cannot be empty' });
 
 		const supabase = createServiceClient();
+		const before = await auditSnapshot(supabase, 'blog_posts', 'id', id);
 		const { data, error } = await supabase
 			.from('blog_posts')
 			.update(patch)
@@ -524,6 +3855,7 @@ router.patch('/blog/:id', async (req, res) => {
 		}
 		if (!data) return res.status(404).json({ success: false, error: 'post not found' });
 
+		await recordAudit(admin, { action: 'blog_post.update', entity: 'blog_posts', entityId: id, before, after: data });
 		return res.json({ success: true, post: data });
 	} catch (e) {
 		console.error('Admin blog update failed', e);
@@ -533,7 +3865,7 @@ router.patch('/blog/:id', async (req, res) => {
 
 // GET /api/admin/site-stats
 router.get('/site-stats', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'content.manage');
 	if (!admin) return;
 
 	try {
@@ -562,7 +3894,7 @@ router.get('/site-stats', async (req, res) => {
 
 // POST /api/admin/site-stats
 router.post('/site-stats', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'content.manage');
 	if (!admin) return;
 
 	const label = String(req.body?.label || '').trim();
@@ -586,6 +3918,7 @@ router.post('/site-stats', async (req, res) => {
 			.single();
 		if (error) return res.status(400).json({ success: false, error: error.message });
 
+		await recordAudit(admin, { action: 'site_stat.create', entity: 'site_stats', entityId: data.id, after: data });
 		return res.status(201).json({
 			success: true,
 			stat: {
@@ -604,7 +3937,7 @@ router.post('/site-stats', async (req, res) => {
 
 // PATCH /api/admin/site-stats/:id
 router.patch('/site-stats/:id', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'content.manage');
 	if (!admin) return;
 
 	const id = String(req.params.id || '').trim();
@@ -628,6 +3961,7 @@ router.patch('/site-stats/:id', async (req, res) => {
 
 	try {
 		const supabase = createAuthServiceClient();
+		const before = await auditSnapshot(supabase, 'site_stats', 'id', id);
 		const { data, error } = await supabase
 			.from('site_stats')
 			.update(patch)
@@ -637,6 +3971,7 @@ router.patch('/site-stats/:id', async (req, res) => {
 		if (error) return res.status(400).json({ success: false, error: error.message });
 		if (!data) return res.status(404).json({ success: false, error: 'stat not found' });
 
+		await recordAudit(admin, { action: 'site_stat.update', entity: 'site_stats', entityId: id, before, after: data });
 		return res.json({
 			success: true,
 			stat: {
@@ -655,7 +3990,7 @@ router.patch('/site-stats/:id', async (req, res) => {
 
 // GET /api/admin/testimonials
 router.get('/testimonials', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'content.manage');
 	if (!admin) return;
 
 	try {
@@ -686,7 +4021,7 @@ router.get('/testimonials', async (req, res) => {
 
 // POST /api/admin/testimonials
 router.post('/testimonials', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'content.manage');
 	if (!admin) return;
 
 	const name = String(req.body?.name || '').trim();
@@ -723,6 +4058,7 @@ router.post('/testimonials', async (req, res) => {
 			.single();
 		if (error) return res.status(400).json({ success: false, error: error.message });
 
+		await recordAudit(admin, { action: 'testimonial.create', entity: 'testimonials', entityId: data.id, after: data });
 		return res.status(201).json({
 			success: true,
 			testimonial: {
@@ -743,7 +4079,7 @@ router.post('/testimonials', async (req, res) => {
 
 // PATCH /api/admin/testimonials/:id
 router.patch('/testimonials/:id', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'content.manage');
 	if (!admin) return;
 
 	const id = String(req.params.id || '').trim();
@@ -775,6 +4111,7 @@ router.patch('/testimonials/:id', async (req, res) => {
 
 	try {
 		const supabase = createAuthServiceClient();
+		const before = await auditSnapshot(supabase, 'testimonials', 'id', id);
 		const { data, error } = await supabase
 			.from('testimonials')
 			.update(patch)
@@ -784,6 +4121,7 @@ router.patch('/testimonials/:id', async (req, res) => {
 		if (error) return res.status(400).json({ success: false, error: error.message });
 		if (!data) return res.status(404).json({ success: false, error: 'testimonial not found' });
 
+		await recordAudit(admin, { action: 'testimonial.update', entity: 'testimonials', entityId: id, before, after: data });
 		return res.json({
 			success: true,
 			testimonial: {
@@ -802,64 +4140,763 @@ router.patch('/testimonials/:id', async (req, res) => {
 	}
 });
 
+const ROLE_CHANGE_STATUSES = ['pending', 'approved', 'rejected'];
+
+function toRoleChangeRequest(r) {
+	return {
+		id: r.id,
+		userId: r.user_id,
+		role: r.role ?? null,
+		previousRole: r.previous_role ?? null,
+		status: r.status,
+		requestedBy: r.requested_by,
+		requestedAt: r.created_at,
+		decidedBy: r.decided_by ?? null,
+		decidedAt: r.decided_at ?? null,
+		decisionReason: r.decision_reason ?? null,
+	};
+}
+
+// Checks the caller's current password by signing in on a throwaway client, then drops that
+// session only (a global sign-out would end the caller's other sessions too).
+async function verifyAdminPassword(supabase, userId, password) {
+	const { data, error } = await supabase.auth.admin.getUserById(userId);
+	if (error) throw error;
+	const email = data?.user?.email;
+	if (!email) return false;
+
+	const anon = createAuthAnonClient();
+	const { error: signInErr } = await anon.auth.signInWithPassword({ email, password });
+	if (signInErr) return false;
+	await anon.auth.signOut({ scope: 'local' });
+	return true;
+}
+
+// Writes a role through set_admin_role, which only updates an existing profile (404 otherwise),
+// refuses to remove the last super admin and writes the audit entry (`action`, extra `after` fields)
+// in the same transaction, and drops the user's cached profile. Returns { profile } or { httpStatus, error }.
+async function setAdminRole(supabase, admin, userId, role, { action, after } = {}) {
+	const { data, error } = await supabase.rpc('set_admin_role', {
+		p_user_id: userId,
+		p_role: role,
+		p_audit: auditRow(admin, { action, after }),
+	});
+	invalidateAdminProfile(userId);
+	if (error) {
+		if (/last super admin/i.test(error.message || '')) return { httpStatus: 409, error: 'cannot remove the last super admin' };
+		// no_data_found: the user is unknown to auth or has no profile row to update.
+		if (error.code === 'P0002') return { httpStatus: 404, error: error.message };
+		return { httpStatus: 400, error: error.message };
+	}
+	return { profile: Array.isArray(data) ? data[0] : data };
+}
+
+// Returns the auth user, or null if the id is unknown to auth.
+async function findAuthUser(supabase, id) {
+	const { data, error } = await supabase.auth.admin.getUserById(id);
+	if (error) {
+		if (error.status === 404 || /not found/i.test(error.message || '')) return null;
+		throw error;
+	}
+	return data?.user || null;
+}
+
+// Files an admin-level grant for a second admin's approval and sends the 202 reply.
+async function sendRoleChangeRequest(res, supabase, admin, userId, role, previousRole, extra = {}) {
+	const { data: request, error } = await supabase
+		.from('role_change_requests')
+		.insert([{ user_id: userId, role, previous_role: previousRole, requested_by: admin.userId }])
+		.select('*')
+		.single();
+	if (error) return res.status(400).json({ success: false, error: error.message });
+	await recordAudit(admin, { action: 'user.role_request', entity: 'role_change_requests', entityId: request.id, after: request });
+	return res.status(202).json({
+		success: true,
+		...extra,
+		pendingApproval: toRoleChangeRequest(request),
+		message: `Granting ${role} needs your currentPassword or approval by another admin`,
+	});
+}
+
+// Ends every session of a user (see revoke_user_sessions) and drops their cached profile, so
+// requireAdmin turns away their current tokens at once. Returns { revokedAt, sessionsRevoked };
+// revokedAt is null for a user without a profile row. Throws for an id unknown to auth.
+async function revokeUserSessions(supabase, userId) {
+	const { data, error } = await supabase.rpc('revoke_user_sessions', { p_user_id: userId });
+	invalidateAdminProfile(userId);
+	if (error) throw error;
+	const row = Array.isArray(data) ? data[0] : data;
+	return { revokedAt: row?.revoked_at ?? null, sessionsRevoked: Number(row?.sessions_revoked ?? 0) };
+}
+
+// Ban without a duration: about 100 years, as the auth API has no permanent ban.
+const PERMANENT_BAN_HOURS = 876000;
+
+const USER_SORT_FIELDS = { createdAt: 'created_at', lastSignInAt: 'last_sign_in_at' };
+
+function toAdminUser(u, role) {
+	return {
+		id: u.id,
+		email: u.email || null,
+		phone: u.phone || null,
+		createdAt: u.created_at || null,
+		lastSignInAt: u.last_sign_in_at || null,
+		emailConfirmedAt: u.email_confirmed_at || null,
+		bannedUntil: u.banned_until || null,
+		role: role === undefined ? u.role || null : role,
+	};
+}
+
 // GET /api/admin/users (auth users + profile roles)
+// Query: q (email or phone), role (a role, or "none" for users without one), sort (createdAt |
+// lastSignInAt, default createdAt), order (asc | desc, default desc), page (from 1), pageSize
+// (default and max 200).
 router.get('/users', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+	const admin = await requireAdmin(req, res, 'users.view');
 	if (!admin) return;
 
+	const sort = String(req.query?.sort || 'createdAt').trim();
+	const order = String(req.query?.order || 'desc').trim().toLowerCase();
+	if (!USER_SORT_FIELDS[sort]) {
+		return res.status(400).json({ success: false, error: `sort must be one of ${Object.keys(USER_SORT_FIELDS).join(', ')}` });
+	}
+	if (order !== 'asc' && order !== 'desc') return res.status(400).json({ success: false, error: 'order must be asc or desc' });
+	const page = Math.max(1, Math.floor(Number(req.query?.page ?? 1)) || 1);
+	const pageSize = Math.max(1, Math.min(200, Number(req.query?.pageSize ?? 200) || 200));
+	const search = String(req.query?.q || '').trim();
+	const role = String(req.query?.role || '').trim();
+
 	try {
 		const supabase = createAuthServiceClient();
-		const { data, error } = await supabase.auth.admin.listUsers({ perPage: 200, page: 1 });
+		const filters = { search: search ? escapeLike(search) : null, role_filter: role || null };
+		const [{ data, error }, { data: count, error: countErr }] = await Promise.all([
+			supabase.rpc('admin_list_users', {
+				...filters,
+				sort_by: USER_SORT_FIELDS[sort],
+				sort_ascending: order === 'asc',
+				page_limit: pageSize,
+				page_offset: (page - 1) * pageSize,
+			}),
+			supabase.rpc('admin_count_users', filters),
+		]);
 		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (countErr) return res.status(400).json({ success: false, error: countErr.message });
 
-		const users = data?.users || [];
-		const ids = users.map((u) => u.id);
-		let rolesById = new Map();
-		try {
-			const { data: profiles, error: pErr } = await supabase.from('profiles').select('id,role').in('id', ids).limit(500);
-			if (!pErr) rolesById = new Map((profiles || []).map((p) => [p.id, p.role]));
-		} catch {
-			rolesById = new Map();
-		}
-
-		const rows = users.map((u) => ({
-			id: u.id,
-			email: u.email || null,
-			phone: u.phone || null,
-			createdAt: u.created_at || null,
-			role: rolesById.get(u.id) || null,
-		}));
-
-		return res.json({ success: true, users: rows });
+		const rows = data || [];
+		const total = Number(count) || 0;
+		return res.json({
+			success: true,
+			users: rows.map((u) => toAdminUser(u)),
+			page,
+			pageSize,
+			total,
+			totalPages: Math.ceil(total / pageSize),
+		});
 	} catch (e) {
 		console.error('Admin users failed', e);
 		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
 	}
 });
 
-// PATCH /api/admin/users/:id role
-router.patch('/users/:id', async (req, res) => {
-	const admin = await requireAdmin(req, res);
+// GET /api/admin/users/role-requests?status=pending
+router.get('/users/role-requests', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.view');
+	if (!admin) return;
+
+	const status = String(req.query?.status || 'pending').trim().toLowerCase();
+	if (status !== 'all' && !ROLE_CHANGE_STATUSES.includes(status)) {
+		return res.status(400).json({ success: false, error: `status must be one of ${ROLE_CHANGE_STATUSES.join(', ')}, all` });
+	}
+
+	try {
+		const supabase = createAuthServiceClient();
+		let q = supabase.from('role_change_requests').select('*').order('created_at', { ascending: false }).limit(500);
+		if (status !== 'all') q = q.eq('status', status);
+
+		const { data, error } = await q;
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		return res.json({ success: true, requests: (data || []).map(toRoleChangeRequest) });
+	} catch (e) {
+		console.error('Admin role requests failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/users/role-requests/:id/approve
+// Only an admin other than the requester (and other than the user being promoted) may approve.
+router.post('/users/role-requests/:id/approve', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createAuthServiceClient();
+		const { data: current, error } = await supabase.from('role_change_requests').select('*').eq('id', id).maybeSingle();
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		if (!current) return res.status(404).json({ success: false, error: 'request not found' });
+		if (current.status !== 'pending') return res.status(409).json({ success: false, error: `request is already ${current.status}` });
+		if (current.requested_by === admin.userId || current.user_id === admin.userId) {
+			return res.status(403).json({ success: false, error: 'a role grant must be approved by a different admin' });
+		}
+		if (!(await findAuthUser(supabase, current.user_id))) {
+			return res.status(409).json({ success: false, error: 'user no longer exists' });
+		}
+		// The request was filed against the role the user had then.
+		const { data: profile, error: pErr } = await supabase.from('profiles').select('role').eq('id', current.user_id).maybeSingle();
+		if (pErr) return res.status(400).json({ success: false, error: pErr.message });
+		if (normalizeRole(profile?.role) !== normalizeRole(current.previous_role)) {
+			return res.status(409).json({ success: false, error: "the user's role changed since this request was filed; reject it and file a new one" });
+		}
+
+		const { data: decided, error: decErr } = await supabase
+			.from('role_change_requests')
+			.update({ status: 'approved', decided_by: admin.userId, decided_at: new Date().toISOString() })
+			.eq('id', id)
+			.eq('status', 'pending')
+			.select('*')
+			.maybeSingle();
+		if (decErr) return res.status(400).json({ success: false, error: decErr.message });
+		if (!decided) return res.status(409).json({ success: false, error: 'request was decided by someone else' });
+
+		const result = await setAdminRole(supabase, admin, current.user_id, current.role, {
+			action: 'user.role_request_approve',
+			after: { requestId: id },
+		});
+		if (result.error) {
+			// Put the request back so it can be retried, unless someone else has touched it since.
+			await supabase
+				.from('role_change_requests')
+				.update({ status: 'pending', decided_by: null, decided_at: null })
+				.eq('id', id)
+				.eq('status', 'approved')
+				.eq('decided_by', admin.userId);
+			return res.status(result.httpStatus).json({ success: false, error: result.error });
+		}
+
+		return res.json({ success: true, request: toRoleChangeRequest(decided), profile: result.profile });
+	} catch (e) {
+		console.error('Admin approve role request failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/users/role-requests/:id/reject
+// Body: { reason? }
+router.post('/users/role-requests/:id/reject', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.manage');
 	if (!admin) return;
 
 	const id = String(req.params.id || '').trim();
-	const role = String(req.body?.role || '').trim();
 	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
-	if (!role) return res.status(400).json({ success: false, error: 'role is required' });
 
 	try {
 		const supabase = createAuthServiceClient();
 		const { data, error } = await supabase
-			.from('profiles')
-			.upsert({ id, role }, { onConflict: 'id' })
-			.select('id,role')
-			.single();
+			.from('role_change_requests')
+			.update({
+				status: 'rejected',
+				decided_by: admin.userId,
+				decided_at: new Date().toISOString(),
+				decision_reason: optionalText(req.body?.reason),
+			})
+			.eq('id', id)
+			.eq('status', 'pending')
+			.select('*')
+			.maybeSingle();
 		if (error) return res.status(400).json({ success: false, error: error.message });
-		return res.json({ success: true, profile: data });
+		if (!data) {
+			const { data: existing, error: exErr } = await supabase.from('role_change_requests').select('status').eq('id', id).maybeSingle();
+			if (exErr) return res.status(400).json({ success: false, error: exErr.message });
+			if (!existing) return res.status(404).json({ success: false, error: 'request not found' });
+			return res.status(409).json({ success: false, error: `request is already ${existing.status}` });
+		}
+
+		await recordAudit(admin, { action: 'user.role_request_reject', entity: 'role_change_requests', entityId: id, after: data });
+		return res.json({ success: true, request: toRoleChangeRequest(data) });
+	} catch (e) {
+		console.error('Admin reject role request failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/users/:id
+// Auth record (metadata, sign-in providers, confirmation and ban state) merged with the profiles row.
+router.get('/users/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.view');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createAuthServiceClient();
+		const u = await findAuthUser(supabase, id);
+		if (!u) return res.status(404).json({ success: false, error: 'user not found' });
+
+		const { data: profile, error: pErr } = await supabase.from('profiles').select('*').eq('id', id).maybeSingle();
+		if (pErr) return res.status(400).json({ success: false, error: pErr.message });
+
+		return res.json({
+			success: true,
+			user: {
+				...toAdminUser(u, profile?.role ?? null),
+				phoneConfirmedAt: u.phone_confirmed_at || null,
+				updatedAt: u.updated_at || null,
+				providers: Array.from(new Set((u.identities || []).map((i) => i.provider))),
+				factors: (u.factors || []).map((f) => ({ id: f.id, type: f.factor_type, status: f.status })),
+				appMetadata: u.app_metadata || {},
+				userMetadata: u.user_metadata || {},
+			},
+			profile: profile || null,
+		});
+	} catch (e) {
+		console.error('Admin user detail failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// GET /api/admin/roles
+// Admin roles and the permissions each grants.
+router.get('/roles', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.view');
+	if (!admin) return;
+
+	return res.json({
+		success: true,
+		roles: ADMIN_ROLES.map((role) => ({ role, permissions: permissionsForRole(role) })),
+	});
+});
+
+// PATCH /api/admin/users/:id role
+// Body: { role, currentPassword? } - role is one of the admin roles, or null to remove admin access.
+// Admins cannot change their own role, and the last super admin cannot be demoted. Granting an
+// admin-level role (one that can manage users) applies immediately only with the caller's
+// currentPassword; without it the grant is filed for a second admin's approval (202).
+router.patch('/users/:id', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	if (req.body?.role === undefined) return res.status(400).json({ success: false, error: 'role is required' });
+	const role = req.body.role === null ? null : String(req.body.role).trim().toLowerCase();
+	if (role !== null && !ADMIN_ROLES.includes(role)) {
+		return res.status(400).json({ success: false, error: `role must be one of ${ADMIN_ROLES.join(', ')} (or null)` });
+	}
+	if (id === admin.userId) return res.status(403).json({ success: false, error: 'you cannot change your own role' });
+
+	try {
+		const supabase = createAuthServiceClient();
+		if (!(await findAuthUser(supabase, id))) return res.status(404).json({ success: false, error: 'user not found' });
+
+		const { data: profile, error: pErr } = await supabase.from('profiles').select('role').eq('id', id).maybeSingle();
+		if (pErr) return res.status(400).json({ success: false, error: pErr.message });
+		const previousRole = normalizeRole(profile?.role);
+
+		if (isAdminLevelRole(role) && previousRole !== role) {
+			const password = typeof req.body?.currentPassword === 'string' ? req.body.currentPassword : '';
+			if (password) {
+				if (!(await verifyAdminPassword(supabase, admin.userId, password))) {
+					return res.status(403).json({ success: false, error: 'currentPassword is incorrect' });
+				}
+			} else {
+				return sendRoleChangeRequest(res, supabase, admin, id, role, profile?.role ?? null);
+			}
+		}
+
+		const result = await setAdminRole(supabase, admin, id, role, { action: 'user.set_role' });
+		if (result.error) return res.status(result.httpStatus).json({ success: false, error: result.error });
+
+		return res.json({ success: true, profile: result.profile });
 	} catch (e) {
 		console.error('Admin update role failed', e);
 		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
 	}
 });
 
+// POST /api/admin/users/invite
+// Body: { email, role, currentPassword? } - emails an invitation to the admin auth project and gives
+// the new user `role` (one of the admin roles). As with PATCH /users/:id, an admin-level role is
+// applied at once only with the caller's currentPassword; without it the user is invited with no
+// role and the grant waits for a second admin's approval (202).
+router.post('/users/invite', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.manage');
+	if (!admin) return;
+
+	const email = optionalText(req.body?.email)?.toLowerCase() || null;
+	if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ success: false, error: 'email must be a valid email' });
+	const role = String(req.body?.role || '').trim().toLowerCase();
+	if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ success: false, error: `role must be one of ${ADMIN_ROLES.join(', ')}` });
+
+	try {
+		const supabase = createAuthServiceClient();
+		const password = typeof req.body?.currentPassword === 'string' ? req.body.currentPassword : '';
+		const needsApproval = isAdminLevelRole(role) && !password;
+		if (isAdminLevelRole(role) && password && !(await verifyAdminPassword(supabase, admin.userId, password))) {
+			return res.status(403).json({ success: false, error: 'currentPassword is incorrect' });
+		}
+
+		const { data, error } = await supabase.auth.admin.inviteUserByEmail(email, {
+			redirectTo: process.env.ADMIN_INVITE_REDIRECT_URL || undefined,
+			data: { invited_by: admin.userId },
+		});
+		if (error) {
+			if (/already (been )?registered|already exists/i.test(error.message || '')) {
+				return res.status(409).json({ success: false, error: 'a user with this email already exists' });
+			}
+			return res.status(400).json({ success: false, error: error.message });
+		}
+		const invited = data.user;
+		await recordAudit(admin, { action: 'user.invite', entity: 'users', entityId: invited.id, after: { email, role } });
+
+		if (needsApproval) {
+			return sendRoleChangeRequest(res, supabase, admin, invited.id, role, null, { user: toAdminUser(invited, null) });
+		}
+
+		const result = await setAdminRole(supabase, admin, invited.id, role, { action: 'user.set_role' });
+		if (result.error) {
+			return res.status(result.httpStatus).json({ success: false, error: `user was invited but the role was not set: ${result.error}`, user: toAdminUser(invited, null) });
+		}
+		return res.status(201).json({ success: true, user: toAdminUser(invited, role) });
+	} catch (e) {
+		console.error('Admin invite user failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/users/:id/ban
+// Body: { durationHours?, reason? } - without durationHours the ban does not expire. Banning also
+// signs the user out everywhere; if that part fails the ban is kept and the reply is a 500 carrying
+// the banned user, so the client can retry POST /users/:id/sign-out. Admins cannot ban themselves.
+router.post('/users/:id/ban', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+	if (id === admin.userId) return res.status(403).json({ success: false, error: 'you cannot ban yourself' });
+	let hours = PERMANENT_BAN_HOURS;
+	if (req.body?.durationHours != null) {
+		hours = Number(req.body.durationHours);
+		if (!Number.isFinite(hours) || hours <= 0 || hours > PERMANENT_BAN_HOURS) {
+			return res.status(400).json({ success: false, error: `durationHours must be a number between 0 and ${PERMANENT_BAN_HOURS}` });
+		}
+	}
+
+	try {
+		const supabase = createAuthServiceClient();
+		const before = await findAuthUser(supabase, id);
+		if (!before) return res.status(404).json({ success: false, error: 'user not found' });
+
+		// The auth API takes a Go duration; whole minutes keep it exact.
+		const { data, error } = await supabase.auth.admin.updateUserById(id, { ban_duration: `${Math.max(1, Math.round(hours * 60))}m` });
+		if (error) return res.status(400).json({ success: false, error: error.message });
+		// The ban stands even if ending the sessions fails: it is audited either way and the reply
+		// says the user may still be signed in, so the sign-out can be retried.
+		let sessions = null;
+		let revokeError = null;
+		try {
+			sessions = await revokeUserSessions(supabase, id);
+		} catch (e) {
+			console.error('Admin ban user: revoking sessions failed', e);
+			revokeError = e?.message || 'could not end the user\'s sessions';
+		}
+
+		const { data: profile } = await supabase.from('profiles').select('role').eq('id', id).maybeSingle();
+		const user = toAdminUser(data.user, profile?.role ?? null);
+		await recordAudit(admin, {
+			action: 'user.ban',
+			entity: 'users',
+			entityId: id,
+			before: { bannedUntil: before.banned_until || null },
+			after: {
+				bannedUntil: user.bannedUntil,
+				reason: optionalText(req.body?.reason),
+				sessionsRevoked: sessions ? sessions.sessionsRevoked : null,
+				...(revokeError ? { sessionsRevokeError: revokeError } : {}),
+			},
+		});
+		if (revokeError) {
+			return res.status(500).json({
+				success: false,
+				error: `User was banned but is still signed in: ${revokeError}. Sign them out again.`,
+				user,
+				bannedUntil: user.bannedUntil,
+			});
+		}
+		return res.json({ success: true, user, bannedUntil: user.bannedUntil, ...sessions });
+	} catch (e) {
+		console.error('Admin ban user failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/users/:id/unban
+router.post('/users/:id/unban', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createAuthServiceClient();
+		const before = await findAuthUser(supabase, id);
+		if (!before) return res.status(404).json({ success: false, error: 'user not found' });
+		if (!before.banned_until || new Date(before.banned_until).getTime() <= Date.now()) {
+			return res.status(409).json({ success: false, error: 'user is not banned' });
+		}
+
+		const { data, error } = await supabase.auth.admin.updateUserById(id, { ban_duration: 'none' });
+		if (error) return res.status(400).json({ success: false, error: error.message });
+
+		const { data: profile } = await supabase.from('profiles').select('role').eq('id', id).maybeSingle();
+		await recordAudit(admin, {
+			action: 'user.unban',
+			entity: 'users',
+			entityId: id,
+			before: { bannedUntil: before.banned_until },
+			after: { bannedUntil: data.user?.banned_until || null },
+		});
+		return res.json({ success: true, user: toAdminUser(data.user, profile?.role ?? null) });
+	} catch (e) {
+		console.error('Admin unban user failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// POST /api/admin/users/:id/sign-out
+// Ends all of the user's sessions: refresh tokens stop working and the backend rejects their
+// current access tokens. Signing yourself out ends this session too.
+router.post('/users/:id/sign-out', async (req, res) => {
+	const admin = await requireAdmin(req, res, 'users.manage');
+	if (!admin) return;
+
+	const id = String(req.params.id || '').trim();
+	if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+	try {
+		const supabase = createAuthServiceClient();
+		if (!(await findAuthUser(supabase, id))) return res.status(404).json({ success: false, error: 'user not found' });
+
+		const sessions = await revokeUserSessions(supabase, id);
+		await recordAudit(admin, { action: 'user.sign_out', entity: 'users', entityId: id, after: sessions });
+		return res.json({ success: true, userId: id, ...sessions });
+	} catch (e) {
+		console.error('Admin sign out user failed', e);
+		return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	}
+});
+
+// -----------------------------
+// Exports (full extracts, streamed)
+// -----------------------------
+
+function parseExportFormat(req, res) {
+	const format = String(req.query?.format || 'csv').trim().toLowerCase();
+	if (EXPORT_FORMATS.includes(format)) return format;
+	res.status(400).json({ success: false, error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+	return null;
+}
+
+// Once streaming has started the status code is sent; a failure can only cut the download short.
+function failExport(res, label, e) {
+	console.error(label, e);
+	if (!res.headersSent) return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+	res.destroy(e);
+}
+
+const PICKUP_EXPORT_COLUMNS = [
+	{ header: 'pickup_id', value: (r) => r.p.id },
+	{ header: 'created_at', value: (r) => r.p.created_at },
+	{ header: 'status', value: (r) => toAdminPickupStatus(r.p.status) },
+	{ header: 'db_status', value: (r) => r.p.status },
+	{ header: 'customer_id', value: (r) => r.p.customer_id },
+	{ header: 'customer_name', value: (r) => r.customer?.full_name || r.customer?.email || null },
+	{ header: 'customer_phone', value: (r) => r.customer?.phone || null },
+	{ header: 'address', value: (r) => r.p.address },
+	{ header: 'latitude', value: (r) => r.p.latitude },
+	{ header: 'longitude', value: (r) => r.p.longitude },
+	{ header: 'time_slot', value: (r) => r.p.time_slot },
+	{ header: 'vendor_ref', value: (r) => r.p.assigned_vendor_ref },
+	{ header: 'assigned_at', value: (r) => r.p.assigned_at },
+	{ header: 'completed_at', value: (r) => r.p.completed_at },
+	{ header: 'cancelled_at', value: (r) => r.p.cancelled_at },
+	{ header: 'cancel_reason', value: (r) => r.p.cancel_reason },
+];
+
+const PICKUP_SUMMARY_EXPORT_COLUMNS = [
+	...PICKUP_EXPORT_COLUMNS,
+	{ header: 'scrap_types', value: (r) => r.items.map(({ it }) => it?.scrap_types?.name).filter(Boolean).join(', ') },
+	{ header: 'item_count', value: (r) => r.items.length },
+	{ header: 'estimated_kg', value: (r) => r.items.reduce((acc, { est }) => acc + est.kg, 0) },
+	{ header: 'estimated_amount_inr', value: (r) => Math.round(r.items.reduce((acc, { est }) => acc + est.amountInr, 0)) },
+];
+
+const PICKUP_ITEM_EXPORT_COLUMNS = [
+	...PICKUP_EXPORT_COLUMNS,
+	{ header: 'item_id', value: (r) => r.item?.it.id ?? null },
+	{ header: 'scrap_type_id', value: (r) => r.item?.it.scrap_type_id ?? null },
+	{ header: 'scrap_type', value: (r) => r.item?.it?.scrap_types?.name ?? null },
+	{ header: 'unit', value: (r) => (r.item ? itemUnit(r.item.it) : null) },
+	{ header: 'estimated_quantity', value: (r) => r.item?.est.quantity ?? null },
+	{ header: 'actual_quantity', value: (r) => r.item?.it.actual_quantity ?? null },
+	{ header: 'rate_per_unit', value: (r) => r.item?.rate?.rate_per_kg ?? null },
+	{ header: 'estimated_amount_inr', value: (r) => (r.item ? Math.round(r.item.est.amountInr * 100) / 100 : null) },
+];
+
+// GET /api/admin/exports/pickups
+// Query: format (csv|xlsx), rows (pickup|item - one row per pickup or per pickup_item), plus the
+// /pickups filters. Not capped: walks the whole result set.
+router.get('/exports/pickups', async (req, res) => {
+	const admin = await requireAdmin(req, res, ['exports.run', 'pickups.view']);
+	if (!admin) return;
+
+	const format = parseExportFormat(req, res);
+	if (!format) return;
+	const perItem = String(req.query?.rows || 'pickup').toLowerCase() === 'item';
+
+	const { filters, error: filterError } = parsePickupFilters({ ...req.query, cursor: undefined });
+	if (filterError) return res.status(400).json({ success: false, error: filterError });
+
+	try {
+		const supabase = createCustomerServiceClient();
+		const select =
+			'id,status,address,latitude,longitude,time_slot,assigned_vendor_ref,assigned_at,assignment_expires_at,cancelled_at,cancel_reason,completed_at,created_at,customer_id,' +
+			'pickup_items(id,estimated_quantity,actual_quantity,scrap_type_id,scrap_types(name,unit))' +
+			(filters.scrapTypeIds.length > 0 ? ',filter_items:pickup_items!inner(scrap_type_id)' : '');
+
+		// Rate history for the scrap types seen so far, loaded page by page. A failed load rejects;
+		// before the first page is written that is still answered with a JSON error.
+		const rateHistory = new Map();
+		const typesLoaded = new Set();
+
+		const stamp = new Date().toISOString().slice(0, 10);
+		const writer = createTableWriter(res, {
+			format,
+			filename: `pickups${perItem ? '-items' : ''}-${stamp}`,
+			columns: perItem ? PICKUP_ITEM_EXPORT_COLUMNS : PICKUP_SUMMARY_EXPORT_COLUMNS,
+			sheetName: 'Pickups',
+		});
+
+		for await (const page of iteratePickups(supabase, filters, select)) {
+			const newTypeIds = Array.from(
+				new Set(page.flatMap((p) => (p.pickup_items || []).map((it) => it.scrap_type_id)).filter((id) => id && !typesLoaded.has(id)))
+			);
+			if (newTypeIds.length > 0) {
+				for (const [typeId, rows] of await getRateHistoryByType(supabase, newTypeIds)) rateHistory.set(typeId, rows);
+				for (const id of newTypeIds) typesLoaded.add(id);
+			}
+			const customersById = await loadCustomersById(supabase, page.map((p) => p.customer_id));
+			const rows = [];
+			for (const p of page) {
+				const customer = customersById.get(p.customer_id) || null;
+				const items = (p.pickup_items || []).map((it) => ({
+					it,
+					est: estimateItem(it, rateHistory, p.created_at),
+					rate: rateInForceAt(rateHistory, it.scrap_type_id, p.created_at),
+				}));
+				if (!perItem) rows.push({ p, customer, items });
+				else if (items.length === 0) rows.push({ p, customer, item: null });
+				else items.forEach((item) => rows.push({ p, customer, item }));
+			}
+			await writer.writeRows(rows);
+		}
+		await writer.end();
+	} catch (e) {
+		failExport(res, 'Admin pickups export failed', e);
+	}
+});
+
+const USER_EXPORT_COLUMNS = [
+	{ header: 'id', value: (u) => u.id },
+	{ header: 'email', value: (u) => u.email || null },
+	{ header: 'phone', value: (u) => u.phone || null },
+	{ header: 'role', value: (u) => u.role || null },
+	{ header: 'created_at', value: (u) => u.created_at || null },
+	{ header: 'last_sign_in_at', value: (u) => u.last_sign_in_at || null },
+	{ header: 'email_confirmed_at', value: (u) => u.email_confirmed_at || null },
+];
+
+// GET /api/admin/exports/users?format=csv|xlsx
+// Every auth user with their profile role, paged through admin_list_users.
+router.get('/exports/users', async (req, res) => {
+	const admin = await requireAdmin(req, res, ['exports.run', 'users.view']);
+	if (!admin) return;
+
+	const format = parseExportFormat(req, res);
+	if (!format) return;
+
+	try {
+		const supabase = createAuthServiceClient();
+		const stamp = new Date().toISOString().slice(0, 10);
+		const writer = createTableWriter(res, { format, filename: `users-${stamp}`, columns: USER_EXPORT_COLUMNS, sheetName: 'Users' });
+
+		// Oldest first, so users created during the export land on later pages instead of shifting them.
+		const pageSize = 500;
+		for (let offset = 0; ; offset += pageSize) {
+			const { data, error } = await supabase.rpc('admin_list_users', {
+				sort_by: 'created_at',
+				sort_ascending: true,
+				page_limit: pageSize,
+				page_offset: offset,
+			});
+			if (error) throw error;
+			const users = data || [];
+			await writer.writeRows(users);
+			if (users.length < pageSize) break;
+		}
+		await writer.end();
+	} catch (e) {
+		failExport(res, 'Admin users export failed', e);
+	}
+});
+
+const VENDOR_EXPORT_COLUMNS = [
+	{ header: 'vendor_id', value: (v) => v.vendor_id ?? null },
+	{ header: 'vendor_ref', value: (v) => v.vendor_ref ?? null },
+	{ header: 'offer_url', value: (v) => v.offer_url ?? null },
+	{ header: 'latitude', value: (v) => v.latitude ?? v.last_latitude ?? null },
+	{ header: 'longitude', value: (v) => v.longitude ?? v.last_longitude ?? null },
+	{ header: 'updated_at', value: (v) => v.updated_at ?? null },
+	{ header: 'status', value: (v) => (isVendorActive(v) ? 'active' : 'suspended') },
+	{ header: 'contact_name', value: (v) => v.contact_name ?? null },
+	{ header: 'contact_phone', value: (v) => v.contact_phone ?? null },
+	{ header: 'contact_email', value: (v) => v.contact_email ?? null },
+	{ header: 'service_radius_km', value: (v) => v.service_radius_km ?? null },
+	{ header: 'accepted_scrap_type_ids', value: (v) => (v.accepted_scrap_type_ids || []).join(' ') },
+];
+
+// GET /api/admin/exports/vendors?format=csv|xlsx
+router.get('/exports/vendors', async (req, res) => {
+	const admin = await requireAdmin(req, res, ['exports.run', 'vendors.view']);
+	if (!admin) return;
+
+	const format = parseExportFormat(req, res);
+	if (!format) return;
+
+	try {
+		const supabase = createVendorServiceClient();
+		const stamp = new Date().toISOString().slice(0, 10);
+		const writer = createTableWriter(res, { format, filename: `vendors-${stamp}`, columns: VENDOR_EXPORT_COLUMNS, sheetName: 'Vendors' });
+
+		const pageSize = 1000;
+		for (let from = 0; ; from += pageSize) {
+			const { data, error } = await supabase
+				.from('vendor_backends')
+				.select('*')
+				.order('vendor_ref', { ascending: true })
+				.range(from, from + pageSize - 1);
+			if (error) throw error;
+			await writer.writeRows(data || []);
+			if ((data || []).length < pageSize) break;
+		}
+		await writer.end();
+	} catch (e) {
+		failExport(res, 'Admin vendors export failed', e);
+	}
+});
+
 module.exports = router;
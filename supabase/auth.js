@@ -1,3 +1,8 @@
+const { isAuthApiError } = require('@supabase/supabase-js');
+const { createRemoteJWKSet, decodeJwt, decodeProtectedHeader, errors, jwtVerify } = require('jose');
+
+const { createAnonClientWithJwt } = require('./client');
+
 function getBearerToken(req) {
   const h = req.headers.authorization;
   if (!h) return null;
@@ -6,4 +11,102 @@ function getBearerToken(req) {
   return null;
 }
 
-module.exports = { getBearerToken };
+// Access tokens are verified locally against the admin auth project: with its JWT secret
+// (ADMIN_AUTH_JWT_SECRET, HS256 projects) or its published signing keys (JWKS, asymmetric keys).
+// HS256 tokens without a configured secret fall back to asking Supabase (one network hop).
+
+let jwks = null;
+let jwksUrl = null;
+let warnedRemote = false;
+
+function getAuthIssuer() {
+  const url = process.env.ADMIN_AUTH_SUPABASE_URL || process.env.SUPABASE_URL;
+  return url ? `${String(url).replace(/\/+$/, '')}/auth/v1` : null;
+}
+
+function getJwks(issuer) {
+  const url = `${issuer}/.well-known/jwks.json`;
+  if (!jwks || jwksUrl !== url) {
+    jwks = createRemoteJWKSet(new URL(url));
+    jwksUrl = url;
+  }
+  return jwks;
+}
+
+// jose errors that mean the token itself is bad. Anything else (the JWKS endpoint unreachable,
+// timing out or serving an unusable key set) is rethrown so an outage is not reported as 401.
+const TOKEN_ERRORS = [
+  errors.JWTExpired,
+  errors.JWTClaimValidationFailed,
+  errors.JWTInvalid,
+  errors.JWSInvalid,
+  errors.JWSSignatureVerificationFailed,
+  errors.JOSEAlgNotAllowed,
+  errors.JOSENotSupported,
+  errors.JWKSNoMatchingKey,
+  errors.JWKSMultipleMatchingKeys,
+];
+
+// Supabase Auth answers for a token it rejects (as opposed to an outage or a network failure).
+const REJECTED_TOKEN_CODES = ['bad_jwt', 'no_authorization', 'user_not_found', 'session_not_found', 'session_expired', 'user_banned'];
+
+function isRejectedToken(error) {
+  return isAuthApiError(error) && (error.status === 401 || error.status === 403 || REJECTED_TOKEN_CODES.includes(error.code));
+}
+
+function tokenTimes(iat, exp) {
+  return {
+    issuedAt: iat ? new Date(iat * 1000).toISOString() : null,
+    expiresAt: exp ? new Date(exp * 1000).toISOString() : null,
+  };
+}
+
+async function verifyRemotely(jwt) {
+  if (!warnedRemote) {
+    warnedRemote = true;
+    console.warn('ADMIN_AUTH_JWT_SECRET is not set; verifying HS256 admin tokens through Supabase');
+  }
+  const { data, error } = await createAnonClientWithJwt(jwt).auth.getUser();
+  if (error) {
+    if (isRejectedToken(error)) return null;
+    throw error;
+  }
+  if (!data?.user?.id) return null;
+  const { iat, exp } = decodeJwt(jwt);
+  return { userId: data.user.id, ...tokenTimes(iat, exp) };
+}
+
+// Returns { userId, issuedAt, expiresAt } for a valid, unexpired token issued to the expected audience,
+// or null. Throws on configuration problems and when the signing keys or Supabase Auth cannot be reached.
+async function verifyAccessToken(jwt) {
+  const issuer = getAuthIssuer();
+  if (!issuer) throw new Error('Missing required env var: ADMIN_AUTH_SUPABASE_URL');
+
+  let header;
+  try {
+    header = decodeProtectedHeader(jwt);
+  } catch {
+    return null;
+  }
+
+  const secret = process.env.ADMIN_AUTH_JWT_SECRET;
+  const isHmac = String(header.alg || '').startsWith('HS');
+  if (isHmac && !secret) return verifyRemotely(jwt);
+
+  const key = isHmac ? new TextEncoder().encode(secret) : getJwks(issuer);
+  try {
+    const { payload } = await jwtVerify(jwt, key, {
+      issuer,
+      audience: process.env.ADMIN_AUTH_JWT_AUDIENCE || 'authenticated',
+      algorithms: isHmac ? ['HS256'] : ['RS256', 'ES256'],
+      clockTolerance: 5,
+    });
+    if (!payload.sub) return null;
+    return { userId: payload.sub, ...tokenTimes(payload.iat, payload.exp) };
+  } catch (e) {
+    if (TOKEN_ERRORS.some((E) => e instanceof E)) return null;
+    throw e;
+  }
+}
+
+module.exports = { getBearerToken, verifyAccessToken };
@@ -103,6 +103,18 @@ function createAnonClientWithJwt(jwt) {
   });
 }
 
+function createAuthAnonClient() {
+  // Plain anon client for the admin login project, e.g. to check a password.
+  const { url, anonKey } = getAuthProjectEnv();
+  return createClient(requireEnvFromPair('ADMIN_AUTH_SUPABASE_URL', url), requireEnvFromPair('ADMIN_AUTH_SUPABASE_ANON_KEY', anonKey), {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false,
+    },
+  });
+}
+
 function requireEnvFromPair(name, value) {
   // If an explicit env var is set, require it. Otherwise allow fallback value.
   if (process.env[name] != null && String(process.env[name]).trim() === '') {
@@ -117,6 +129,7 @@ function requireEnvFromPair(name, value) {
 module.exports = {
   createServiceClient,
   createAnonClientWithJwt,
+  createAuthAnonClient,
   createAuthServiceClient,
   createCustomerServiceClient,
   createVendorServiceClient,
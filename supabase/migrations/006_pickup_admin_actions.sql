@@ -0,0 +1,8 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Columns written by the admin pickup actions (assign / reassign / cancel / complete).
+
+alter table public.pickups add column if not exists cancel_reason text;
+alter table public.pickup_items add column if not exists actual_quantity numeric;
+
+create index if not exists pickups_status_created_at_idx on public.pickups (status, created_at desc);
+create index if not exists pickups_assigned_vendor_ref_idx on public.pickups (assigned_vendor_ref);
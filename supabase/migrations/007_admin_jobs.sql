@@ -0,0 +1,40 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- One row per background job. locked_by/locked_until is a lease so only one admin backend
+-- instance runs a job at a time; the last_* columns back GET /api/admin/jobs.
+
+create table if not exists public.admin_jobs (
+  name text primary key,
+  locked_by text,
+  locked_until timestamptz,
+  last_started_at timestamptz,
+  last_finished_at timestamptz,
+  last_outcome text,
+  last_error text,
+  last_rows_touched int,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'admin_jobs_touch_updated_at') then
+    create trigger admin_jobs_touch_updated_at
+    before update on public.admin_jobs
+    for each row
+    execute procedure public.touch_updated_at();
+  end if;
+end $$;
+
+alter table public.admin_jobs enable row level security;
+
+create index if not exists pickups_assigned_expiry_idx on public.pickups (assignment_expires_at) where status = 'ASSIGNED';
@@ -0,0 +1,31 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Applies a whole rate sheet in one transaction (POST /api/admin/scrap-rates/import).
+-- changes: [{ "scrap_type_id": ..., "rate_per_kg": ... }]
+-- A future effective_at schedules the rates and leaves the ones in force untouched.
+
+create or replace function public.apply_scrap_rate_sheet(changes jsonb, effective_at timestamptz default now())
+returns setof public.scrap_rates
+language plpgsql
+as $$
+declare
+  c public.scrap_rates;
+begin
+  for c in select * from jsonb_populate_recordset(null::public.scrap_rates, changes) loop
+    if effective_at <= now() then
+      update public.scrap_rates
+      set is_active = false
+      where scrap_type_id = c.scrap_type_id
+        and is_active = true
+        and (effective_from is null or effective_from <= now());
+    end if;
+
+    return query
+    insert into public.scrap_rates (scrap_type_id, rate_per_kg, is_active, effective_from)
+    values (c.scrap_type_id, c.rate_per_kg, true, greatest(effective_at, now()))
+    returning *;
+  end loop;
+end;
+$$;
+
+revoke all on function public.apply_scrap_rate_sheet(jsonb, timestamptz) from public, anon, authenticated;
+grant execute on function public.apply_scrap_rate_sheet(jsonb, timestamptz) to service_role;
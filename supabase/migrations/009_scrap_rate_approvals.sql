@@ -0,0 +1,46 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Rate changes above RATE_MAX_CHANGE_PERCENT wait here until a second admin decides.
+-- requested_by / decided_by are user ids from the admin-auth project.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.scrap_rate_approvals (
+  id uuid primary key default gen_random_uuid(),
+  scrap_type_id uuid not null references public.scrap_types(id),
+  rate_per_kg numeric not null check (rate_per_kg > 0),
+  current_rate_per_kg numeric,
+  change_percent numeric,
+  effective_from timestamptz,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  requested_by uuid not null,
+  decided_by uuid,
+  decided_at timestamptz,
+  decision_reason text,
+  scrap_rate_id uuid references public.scrap_rates(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'scrap_rate_approvals_touch_updated_at') then
+    create trigger scrap_rate_approvals_touch_updated_at
+    before update on public.scrap_rate_approvals
+    for each row
+    execute procedure public.touch_updated_at();
+  end if;
+end $$;
+
+alter table public.scrap_rate_approvals enable row level security;
+
+create index if not exists scrap_rate_approvals_status_idx on public.scrap_rate_approvals (status, created_at desc);
@@ -0,0 +1,22 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Units, categories and archiving for scrap types. Rates in scrap_rates.rate_per_kg are per
+-- the type's unit. The customer catalogue (scrap_type_catalogue, 029) leaves archived types out.
+
+alter table public.scrap_types add column if not exists unit text not null default 'kg';
+alter table public.scrap_types add column if not exists category text;
+alter table public.scrap_types add column if not exists archived_at timestamptz;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'scrap_types_unit_check') then
+    alter table public.scrap_types
+    add constraint scrap_types_unit_check check (unit in ('kg', 'piece', 'litre'));
+  end if;
+
+  if not exists (select 1 from pg_constraint where conname = 'scrap_types_category_check') then
+    alter table public.scrap_types
+    add constraint scrap_types_category_check check (category is null or category in ('metal', 'paper', 'e-waste', 'plastic'));
+  end if;
+end $$;
+
+create index if not exists scrap_types_archived_at_idx on public.scrap_types (archived_at);
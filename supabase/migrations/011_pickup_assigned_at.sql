@@ -0,0 +1,8 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- When the current assignment was made. Set by the admin assign/reassign actions and the
+-- expired-assignment sweeper; the customer/vendor backends should set it when they assign too.
+-- Existing rows stay null: there is no reliable source for past assignment times.
+
+alter table public.pickups add column if not exists assigned_at timestamptz;
+
+create index if not exists pickups_created_at_id_idx on public.pickups (created_at desc, id desc);
@@ -0,0 +1,30 @@
+-- Run in the VENDOR project (vendors, godowns).
+-- Fields managed through the admin vendor endpoints. accepted_scrap_type_ids are scrap_types ids
+-- from the CUSTOMER project (no foreign key across projects); empty means all types.
+
+alter table public.vendor_backends add column if not exists status text not null default 'active';
+alter table public.vendor_backends add column if not exists suspended_at timestamptz;
+alter table public.vendor_backends add column if not exists suspension_reason text;
+alter table public.vendor_backends add column if not exists contact_name text;
+alter table public.vendor_backends add column if not exists contact_phone text;
+alter table public.vendor_backends add column if not exists contact_email text;
+alter table public.vendor_backends add column if not exists service_radius_km numeric;
+alter table public.vendor_backends add column if not exists accepted_scrap_type_ids uuid[] not null default '{}';
+alter table public.vendor_backends add column if not exists latitude double precision;
+alter table public.vendor_backends add column if not exists longitude double precision;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'vendor_backends_status_check') then
+    alter table public.vendor_backends
+    add constraint vendor_backends_status_check check (status in ('active', 'suspended'));
+  end if;
+
+  if not exists (
+    select 1 from pg_indexes where schemaname = 'public' and indexname = 'vendor_backends_vendor_ref_key'
+  ) and not exists (
+    select 1 from pg_constraint where conname = 'vendor_backends_vendor_ref_key'
+  ) then
+    create unique index vendor_backends_vendor_ref_key on public.vendor_backends (vendor_ref);
+  end if;
+end $$;
@@ -0,0 +1,23 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Log of every (re)assignment made by the admin backend (admin actions and the expired-assignment
+-- sweeper). pickups only keeps the current vendor; this keeps the ones that expired or were moved,
+-- for vendor scorecards. outcome is null while the assignment is open.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.pickup_assignments (
+  id uuid primary key default gen_random_uuid(),
+  pickup_id uuid not null references public.pickups(id) on delete cascade,
+  vendor_ref text not null,
+  assigned_at timestamptz not null default now(),
+  expires_at timestamptz,
+  ended_at timestamptz,
+  outcome text check (outcome in ('expired', 'reassigned')),
+  source text not null check (source in ('admin', 'sweeper')),
+  created_at timestamptz not null default now()
+);
+
+alter table public.pickup_assignments enable row level security;
+
+create index if not exists pickup_assignments_vendor_idx on public.pickup_assignments (vendor_ref, assigned_at desc);
+create index if not exists pickup_assignments_open_idx on public.pickup_assignments (pickup_id, vendor_ref) where ended_at is null;
@@ -0,0 +1,140 @@
+-- Run in the VENDOR project (vendors, godowns).
+-- Godown master data and an append-only stock ledger. scrap_type_id and pickup_id refer to rows
+-- in the CUSTOMER project (no foreign keys across projects). Quantities are in the scrap type's unit.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.godowns (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.godowns add column if not exists address text;
+alter table public.godowns add column if not exists latitude double precision;
+alter table public.godowns add column if not exists longitude double precision;
+alter table public.godowns add column if not exists capacity_kg numeric check (capacity_kg > 0);
+alter table public.godowns add column if not exists manager_name text;
+alter table public.godowns add column if not exists manager_phone text;
+alter table public.godowns add column if not exists manager_email text;
+alter table public.godowns add column if not exists is_active boolean not null default true;
+
+create table if not exists public.godown_stock_movements (
+  id uuid primary key default gen_random_uuid(),
+  godown_id uuid not null references public.godowns(id),
+  scrap_type_id uuid not null,
+  direction text not null check (direction in ('in', 'out')),
+  quantity numeric not null check (quantity > 0),
+  unit text not null default 'kg',
+  reason text not null check (reason in ('pickup', 'sale', 'dispatch', 'transfer', 'adjustment')),
+  pickup_id uuid,
+  reference text,
+  note text,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  check (reason <> 'pickup' or (direction = 'in' and pickup_id is not null))
+);
+
+-- A pickup's scrap can only be received once.
+create unique index if not exists godown_stock_movements_pickup_key
+on public.godown_stock_movements (pickup_id, scrap_type_id)
+where reason = 'pickup';
+
+create index if not exists godown_stock_movements_godown_idx
+on public.godown_stock_movements (godown_id, created_at desc);
+
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+-- The ledger is never rewritten: corrections are new 'adjustment' movements.
+create or replace function public.godown_stock_movements_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'godown_stock_movements is append-only';
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'godowns_touch_updated_at') then
+    create trigger godowns_touch_updated_at
+    before update on public.godowns
+    for each row
+    execute procedure public.touch_updated_at();
+  end if;
+
+  if not exists (select 1 from pg_trigger where tgname = 'godown_stock_movements_no_update') then
+    create trigger godown_stock_movements_no_update
+    before update or delete on public.godown_stock_movements
+    for each row
+    execute procedure public.godown_stock_movements_append_only();
+  end if;
+end $$;
+
+create or replace view public.godown_stock as
+select
+  godown_id,
+  scrap_type_id,
+  unit,
+  sum(case when direction = 'in' then quantity else -quantity end) as quantity,
+  max(created_at) as last_movement_at
+from public.godown_stock_movements
+group by godown_id, scrap_type_id, unit;
+
+-- Records movements for one godown in a single transaction. The godown row is locked so two
+-- concurrent outbound movements cannot both pass the stock check.
+-- p_movements: [{ direction, scrap_type_id, quantity, unit, reason, pickup_id?, reference?, note? }]
+create or replace function public.record_godown_movements(p_godown_id uuid, p_movements jsonb, p_created_by uuid default null)
+returns setof public.godown_stock_movements
+language plpgsql
+as $$
+declare
+  g public.godowns;
+  m public.godown_stock_movements;
+  available numeric;
+begin
+  select * into g from public.godowns where id = p_godown_id for update;
+  if not found then
+    raise exception 'godown not found';
+  end if;
+  if not g.is_active then
+    raise exception 'godown is inactive';
+  end if;
+
+  for m in select * from jsonb_populate_recordset(null::public.godown_stock_movements, p_movements) loop
+    if m.direction = 'out' then
+      select coalesce(sum(case when direction = 'in' then quantity else -quantity end), 0)
+      into available
+      from public.godown_stock_movements
+      where godown_id = p_godown_id and scrap_type_id = m.scrap_type_id;
+
+      if available < m.quantity then
+        raise exception 'insufficient stock: % available, % requested', available, m.quantity;
+      end if;
+    end if;
+
+    return query
+    insert into public.godown_stock_movements
+      (godown_id, scrap_type_id, direction, quantity, unit, reason, pickup_id, reference, note, created_by)
+    values
+      (p_godown_id, m.scrap_type_id, m.direction, m.quantity, coalesce(m.unit, 'kg'), m.reason, m.pickup_id, m.reference, m.note, p_created_by)
+    returning *;
+  end loop;
+end;
+$$;
+
+alter table public.godowns enable row level security;
+alter table public.godown_stock_movements enable row level security;
+
+revoke all on function public.record_godown_movements(uuid, jsonb, uuid) from public, anon, authenticated;
+grant execute on function public.record_godown_movements(uuid, jsonb, uuid) to service_role;
@@ -0,0 +1,56 @@
+-- Run in the VENDOR project (vendors, godowns).
+-- Godown capacity alerts. A godown above its fill threshold gets one unresolved alert, which an
+-- admin can acknowledge; the backend resolves it once the godown drops below the threshold.
+
+create extension if not exists pgcrypto;
+
+-- Per-godown override of GODOWN_ALERT_THRESHOLD_PERCENT.
+alter table public.godowns add column if not exists alert_threshold_percent numeric
+  check (alert_threshold_percent > 0 and alert_threshold_percent <= 100);
+
+create table if not exists public.alerts (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  godown_id uuid references public.godowns(id),
+  status text not null default 'open' check (status in ('open', 'acknowledged', 'resolved')),
+  message text,
+  fill_percent numeric,
+  threshold_percent numeric,
+  stock_kg numeric,
+  capacity_kg numeric,
+  acknowledged_at timestamptz,
+  acknowledged_by uuid,
+  note text,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists alerts_unresolved_godown_key
+on public.alerts (type, godown_id)
+where status <> 'resolved';
+
+create index if not exists alerts_status_created_at_idx
+on public.alerts (status, created_at desc);
+
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'alerts_touch_updated_at') then
+    create trigger alerts_touch_updated_at
+    before update on public.alerts
+    for each row
+    execute procedure public.touch_updated_at();
+  end if;
+end $$;
+
+alter table public.alerts enable row level security;
@@ -0,0 +1,149 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Vendor settlement statements: one statement per vendor and period, built from the weighed items
+-- of completed pickups at the rate in force when each pickup was completed.
+-- Status flow: draft -> approved -> paid. Lines and adjustments only change while a statement is a draft.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.vendor_statements (
+  id uuid primary key default gen_random_uuid(),
+  vendor_ref text not null,
+  period_start timestamptz not null,
+  period_end timestamptz not null,
+  status text not null default 'draft' check (status in ('draft', 'approved', 'paid')),
+  lines_total_inr numeric not null default 0,
+  note text,
+  created_by uuid,
+  approved_by uuid,
+  approved_at timestamptz,
+  paid_by uuid,
+  paid_at timestamptz,
+  payment_reference text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (period_end > period_start)
+);
+
+create index if not exists vendor_statements_vendor_period_idx
+on public.vendor_statements (vendor_ref, period_start desc);
+
+create table if not exists public.vendor_statement_lines (
+  id uuid primary key default gen_random_uuid(),
+  statement_id uuid not null references public.vendor_statements(id) on delete cascade,
+  pickup_id uuid not null references public.pickups(id),
+  pickup_item_id uuid not null references public.pickup_items(id),
+  scrap_type_id uuid,
+  scrap_type_name text,
+  unit text not null default 'kg',
+  quantity numeric not null,
+  rate_inr numeric not null,
+  amount_inr numeric not null,
+  completed_at timestamptz
+);
+
+-- A pickup item is settled on one statement only.
+create unique index if not exists vendor_statement_lines_pickup_item_key
+on public.vendor_statement_lines (pickup_item_id);
+
+create index if not exists vendor_statement_lines_statement_idx
+on public.vendor_statement_lines (statement_id);
+
+-- Signed corrections: positive amounts add to what the vendor is owed, negative ones deduct.
+create table if not exists public.vendor_statement_adjustments (
+  id uuid primary key default gen_random_uuid(),
+  statement_id uuid not null references public.vendor_statements(id) on delete cascade,
+  amount_inr numeric not null check (amount_inr <> 0),
+  reason text not null,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists vendor_statement_adjustments_statement_idx
+on public.vendor_statement_adjustments (statement_id);
+
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+-- Approved and paid statements are frozen. When a draft statement is deleted its rows cascade
+-- after the statement row is gone, which is allowed.
+create or replace function public.vendor_statement_children_draft_only()
+returns trigger
+language plpgsql
+as $$
+declare
+  s text;
+begin
+  select status into s
+  from public.vendor_statements
+  where id = coalesce(new.statement_id, old.statement_id);
+
+  if s is not null and s <> 'draft' then
+    raise exception 'statement is not a draft';
+  end if;
+  return coalesce(new, old);
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'vendor_statements_touch_updated_at') then
+    create trigger vendor_statements_touch_updated_at
+    before update on public.vendor_statements
+    for each row
+    execute procedure public.touch_updated_at();
+  end if;
+
+  if not exists (select 1 from pg_trigger where tgname = 'vendor_statement_lines_draft_only') then
+    create trigger vendor_statement_lines_draft_only
+    before insert or update or delete on public.vendor_statement_lines
+    for each row
+    execute procedure public.vendor_statement_children_draft_only();
+  end if;
+
+  if not exists (select 1 from pg_trigger where tgname = 'vendor_statement_adjustments_draft_only') then
+    create trigger vendor_statement_adjustments_draft_only
+    before insert or update or delete on public.vendor_statement_adjustments
+    for each row
+    execute procedure public.vendor_statement_children_draft_only();
+  end if;
+end $$;
+
+-- Creates a draft statement and its lines in one transaction (POST /api/admin/settlements).
+-- statement: { vendor_ref, period_start, period_end, note, created_by }
+-- lines: [{ pickup_id, pickup_item_id, scrap_type_id, scrap_type_name, unit, quantity, rate_inr, amount_inr, completed_at }]
+create or replace function public.create_vendor_statement(statement jsonb, lines jsonb)
+returns public.vendor_statements
+language plpgsql
+as $$
+declare
+  s public.vendor_statements;
+begin
+  insert into public.vendor_statements (vendor_ref, period_start, period_end, note, created_by, lines_total_inr)
+  select r.vendor_ref, r.period_start, r.period_end, r.note, r.created_by,
+    coalesce((select sum(l.amount_inr) from jsonb_populate_recordset(null::public.vendor_statement_lines, lines) l), 0)
+  from jsonb_populate_record(null::public.vendor_statements, statement) r
+  returning * into s;
+
+  insert into public.vendor_statement_lines
+    (statement_id, pickup_id, pickup_item_id, scrap_type_id, scrap_type_name, unit, quantity, rate_inr, amount_inr, completed_at)
+  select s.id, l.pickup_id, l.pickup_item_id, l.scrap_type_id, l.scrap_type_name, coalesce(l.unit, 'kg'),
+    l.quantity, l.rate_inr, l.amount_inr, l.completed_at
+  from jsonb_populate_recordset(null::public.vendor_statement_lines, lines) l;
+
+  return s;
+end;
+$$;
+
+alter table public.vendor_statements enable row level security;
+alter table public.vendor_statement_lines enable row level security;
+alter table public.vendor_statement_adjustments enable row level security;
+
+revoke all on function public.create_vendor_statement(jsonb, jsonb) from public, anon, authenticated;
+grant execute on function public.create_vendor_statement(jsonb, jsonb) to service_role;
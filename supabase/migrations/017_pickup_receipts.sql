@@ -0,0 +1,58 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Receipts for completed pickups. Each pickup gets one receipt number, issued from a single counter
+-- row inside the same transaction as the receipt insert, so numbers are sequential without gaps
+-- and never reused. `data` keeps the receipt content as first issued for identical reprints.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.receipt_counters (
+  name text primary key,
+  last_number bigint not null default 0
+);
+
+insert into public.receipt_counters (name) values ('pickup') on conflict (name) do nothing;
+
+create table if not exists public.pickup_receipts (
+  id uuid primary key default gen_random_uuid(),
+  pickup_id uuid not null unique references public.pickups(id),
+  receipt_number bigint not null unique,
+  data jsonb not null,
+  issued_by uuid,
+  issued_at timestamptz not null default now()
+);
+
+-- Returns the pickup's receipt, issuing the next number if it has none yet.
+create or replace function public.issue_pickup_receipt(p_pickup_id uuid, p_data jsonb, p_issued_by uuid default null)
+returns public.pickup_receipts
+language plpgsql
+as $$
+declare
+  r public.pickup_receipts;
+  n bigint;
+begin
+  -- Serialises issuing; concurrent requests for the same pickup then see the first receipt.
+  update public.receipt_counters set last_number = last_number where name = 'pickup';
+
+  select * into r from public.pickup_receipts where pickup_id = p_pickup_id;
+  if found then
+    return r;
+  end if;
+
+  update public.receipt_counters
+  set last_number = last_number + 1
+  where name = 'pickup'
+  returning last_number into n;
+
+  insert into public.pickup_receipts (pickup_id, receipt_number, data, issued_by)
+  values (p_pickup_id, n, p_data, p_issued_by)
+  returning * into r;
+
+  return r;
+end;
+$$;
+
+alter table public.receipt_counters enable row level security;
+alter table public.pickup_receipts enable row level security;
+
+revoke all on function public.issue_pickup_receipt(uuid, jsonb, uuid) from public, anon, authenticated;
+grant execute on function public.issue_pickup_receipt(uuid, jsonb, uuid) to service_role;
@@ -0,0 +1,58 @@
+-- Run in the ADMIN AUTH project (admin logins, profiles and roles).
+-- Searchable, sortable listing of auth users with their profile role (GET /api/admin/users).
+-- The auth admin API only pages through users in creation order, so the search runs in SQL.
+
+create or replace function public.admin_list_users(
+  search text default null,
+  role_filter text default null,
+  sort_by text default 'created_at',
+  sort_ascending boolean default false,
+  page_limit integer default 50,
+  page_offset integer default 0
+)
+returns table (
+  id uuid,
+  email text,
+  phone text,
+  role text,
+  created_at timestamptz,
+  last_sign_in_at timestamptz,
+  email_confirmed_at timestamptz,
+  banned_until timestamptz,
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public, auth
+as $$
+  with matched as (
+    select u.id, u.email::text, u.phone::text, p.role::text, u.created_at, u.last_sign_in_at,
+      u.email_confirmed_at, u.banned_until
+    from auth.users u
+    left join public.profiles p on p.id = u.id
+    where (
+        search is null
+        or u.email ilike '%' || search || '%'
+        or u.phone ilike '%' || search || '%'
+      )
+      and (
+        role_filter is null
+        or (role_filter = 'none' and p.role is null)
+        or lower(p.role) = lower(role_filter)
+      )
+  )
+  select m.*, count(*) over () as total_count
+  from matched m
+  order by
+    case when sort_by = 'last_sign_in_at' and sort_ascending then m.last_sign_in_at end asc nulls last,
+    case when sort_by = 'last_sign_in_at' and not sort_ascending then m.last_sign_in_at end desc nulls last,
+    case when sort_by = 'created_at' and sort_ascending then m.created_at end asc,
+    case when sort_by = 'created_at' and not sort_ascending then m.created_at end desc,
+    m.id
+  limit greatest(1, least(page_limit, 500))
+  offset greatest(0, page_offset);
+$$;
+
+revoke all on function public.admin_list_users(text, text, text, boolean, integer, integer) from public, anon, authenticated;
+grant execute on function public.admin_list_users(text, text, text, boolean, integer, integer) to service_role;
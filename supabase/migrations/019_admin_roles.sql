@@ -0,0 +1,5 @@
+-- Run in the ADMIN AUTH project (admin logins, profiles and roles).
+-- Admin roles replace the single 'admin' value (see lib/permissions.js for what each role may do).
+-- Existing admins become super admins; the backend still treats a leftover 'admin' as super_admin.
+
+update public.profiles set role = 'super_admin' where lower(role) = 'admin';
@@ -0,0 +1,77 @@
+-- Run in the ADMIN AUTH project (admin logins, profiles and roles).
+-- Role changes go through set_admin_role, which serialises changes and refuses to remove the last
+-- super admin. Grants of admin-level roles without a password confirmation wait in
+-- role_change_requests until a second admin approves them.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.role_change_requests (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  role text,
+  previous_role text,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  requested_by uuid not null,
+  decided_by uuid,
+  decided_at timestamptz,
+  decision_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists role_change_requests_status_idx on public.role_change_requests (status, created_at desc);
+
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'role_change_requests_touch_updated_at') then
+    create trigger role_change_requests_touch_updated_at
+    before update on public.role_change_requests
+    for each row
+    execute procedure public.touch_updated_at();
+  end if;
+end $$;
+
+alter table public.role_change_requests enable row level security;
+
+-- Sets a profile's role (null removes admin access). 'admin' is the pre-role-model name of super_admin.
+create or replace function public.set_admin_role(p_user_id uuid, p_role text)
+returns table (id uuid, role text)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_current text;
+  super_admins bigint;
+begin
+  -- One role change at a time, so two demotions cannot both see another super admin left.
+  perform pg_advisory_xact_lock(hashtext('public.set_admin_role'));
+
+  select lower(p.role) into v_current from public.profiles p where p.id = p_user_id;
+
+  if v_current in ('super_admin', 'admin') and coalesce(p_role, '') <> 'super_admin' then
+    select count(*) into super_admins from public.profiles p where lower(p.role) in ('super_admin', 'admin');
+    if super_admins <= 1 then
+      raise exception 'cannot remove the last super admin';
+    end if;
+  end if;
+
+  return query
+  insert into public.profiles as p (id, role)
+  values (p_user_id, p_role)
+  on conflict (id) do update set role = excluded.role
+  returning p.id, p.role;
+end;
+$$;
+
+revoke all on function public.set_admin_role(uuid, text) from public, anon, authenticated;
+grant execute on function public.set_admin_role(uuid, text) to service_role;
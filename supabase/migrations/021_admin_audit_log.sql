@@ -0,0 +1,44 @@
+-- Run in the ADMIN AUTH project (admin logins, profiles and roles).
+-- Audit trail of admin writes across all projects (GET /api/admin/audit-log). `entity` is the
+-- table that changed and `entity_id` its row id; before/after hold the row around the change.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.admin_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid not null,
+  actor_role text,
+  action text not null,
+  entity text not null,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  ip text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_at_idx on public.admin_audit_log (created_at desc, id desc);
+create index if not exists admin_audit_log_actor_idx on public.admin_audit_log (actor_id, created_at desc);
+create index if not exists admin_audit_log_entity_idx on public.admin_audit_log (entity, entity_id, created_at desc);
+
+create or replace function public.admin_audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'admin_audit_log is append-only';
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'admin_audit_log_no_update') then
+    create trigger admin_audit_log_no_update
+    before update or delete on public.admin_audit_log
+    for each row
+    execute procedure public.admin_audit_log_append_only();
+  end if;
+end $$;
+
+alter table public.admin_audit_log enable row level security;
@@ -0,0 +1,34 @@
+-- Run in the ADMIN AUTH project (admin logins, profiles and roles).
+-- Signing a user out everywhere (POST /api/admin/users/:id/sign-out, and every ban) deletes their
+-- sessions so no refresh token works any more. Access tokens are verified locally and stay valid
+-- until they expire, so the backend also rejects tokens issued before profiles.sessions_revoked_at.
+
+alter table public.profiles add column if not exists sessions_revoked_at timestamptz;
+
+create or replace function public.revoke_user_sessions(p_user_id uuid)
+returns table (revoked_at timestamptz, sessions_revoked integer)
+language plpgsql
+security definer
+set search_path = public, auth
+as $$
+#variable_conflict use_column
+declare
+  v_now timestamptz := now();
+  v_sessions integer;
+begin
+  delete from auth.sessions s where s.user_id = p_user_id;
+  get diagnostics v_sessions = row_count;
+
+  -- Refresh tokens from before sessions existed are not removed by the cascade.
+  delete from auth.refresh_tokens t where t.user_id = p_user_id::text;
+
+  insert into public.profiles as p (id, sessions_revoked_at)
+  values (p_user_id, v_now)
+  on conflict (id) do update set sessions_revoked_at = excluded.sessions_revoked_at;
+
+  return query select v_now, v_sessions;
+end;
+$$;
+
+revoke all on function public.revoke_user_sessions(uuid) from public, anon, authenticated;
+grant execute on function public.revoke_user_sessions(uuid) to service_role;
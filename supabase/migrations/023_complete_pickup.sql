@@ -0,0 +1,32 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Completes a pickup in one transaction (POST /api/admin/pickups/:id/complete): the weighed
+-- quantities and the status change are written together, and only if the pickup is still in
+-- `from_status`. Returns no row when it is not, so a concurrent change leaves nothing behind.
+-- quantities: [{ "id": <pickup_items.id>, "actual_quantity": ... }]
+
+create or replace function public.complete_pickup(p_pickup_id uuid, p_from_status text, p_quantities jsonb)
+returns setof public.pickups
+language plpgsql
+as $$
+begin
+  perform 1 from public.pickups where id = p_pickup_id and status::text = p_from_status for update;
+  if not found then
+    return;
+  end if;
+
+  update public.pickup_items i
+  set actual_quantity = (q->>'actual_quantity')::numeric
+  from jsonb_array_elements(p_quantities) q
+  where i.pickup_id = p_pickup_id
+    and i.id::text = q->>'id';
+
+  return query
+  update public.pickups
+  set status = 'COMPLETED', completed_at = now()
+  where id = p_pickup_id
+  returning *;
+end;
+$$;
+
+revoke all on function public.complete_pickup(uuid, text, jsonb) from public, anon, authenticated;
+grant execute on function public.complete_pickup(uuid, text, jsonb) to service_role;
@@ -0,0 +1,92 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Rate sheet imports and approvals in one transaction each, so a failure never leaves a sheet
+-- half applied or an approval marked approved without its rate.
+
+-- Applies the in-limit rows of a sheet and files the rest as pending approvals
+-- (POST /api/admin/scrap-rates/import). changes: as apply_scrap_rate_sheet.
+-- approvals: [{ "scrap_type_id", "rate_per_kg", "current_rate_per_kg", "change_percent" }]
+-- Returns { "rates": [scrap_rates...], "approvals": [scrap_rate_approvals...] }.
+create or replace function public.import_scrap_rate_sheet(
+  p_changes jsonb,
+  p_approvals jsonb,
+  p_requested_by uuid,
+  p_effective_at timestamptz default now()
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  rates jsonb;
+  filed jsonb;
+begin
+  select coalesce(jsonb_agg(to_jsonb(r)), '[]'::jsonb) into rates
+  from public.apply_scrap_rate_sheet(coalesce(p_changes, '[]'::jsonb), p_effective_at) r;
+
+  with inserted as (
+    insert into public.scrap_rate_approvals
+      (scrap_type_id, rate_per_kg, current_rate_per_kg, change_percent, effective_from, status, requested_by)
+    select a.scrap_type_id, a.rate_per_kg, a.current_rate_per_kg, a.change_percent,
+      case when p_effective_at > now() then p_effective_at end, 'pending', p_requested_by
+    from jsonb_populate_recordset(null::public.scrap_rate_approvals, coalesce(p_approvals, '[]'::jsonb)) a
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(i)), '[]'::jsonb) into filed from inserted i;
+
+  return jsonb_build_object('rates', rates, 'approvals', filed);
+end;
+$$;
+
+-- Approves a pending rate change and applies it (POST /api/admin/scrap-rates/approvals/:id/approve).
+-- Refuses when the approver requested the change, or when the rate in force is no longer the one
+-- the change was computed against. Returns { "approval": ..., "rate": ... }.
+create or replace function public.approve_scrap_rate(p_approval_id uuid, p_decided_by uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+  a public.scrap_rate_approvals;
+  current_rate numeric;
+  r public.scrap_rates;
+begin
+  select * into a from public.scrap_rate_approvals where id = p_approval_id for update;
+  if not found then
+    raise exception 'approval not found';
+  end if;
+  if a.status <> 'pending' then
+    raise exception 'approval is already %', a.status;
+  end if;
+  if a.requested_by = p_decided_by then
+    raise exception 'a rate change must be approved or rejected by a different admin';
+  end if;
+
+  select sr.rate_per_kg into current_rate
+  from public.scrap_rates sr
+  where sr.scrap_type_id = a.scrap_type_id
+    and sr.is_active = true
+    and (sr.effective_from is null or sr.effective_from <= now())
+  order by sr.effective_from desc nulls last
+  limit 1;
+
+  if current_rate is distinct from a.current_rate_per_kg then
+    raise exception 'rate in force changed since the request (now %), file the change again', coalesce(current_rate::text, 'none');
+  end if;
+
+  select * into r
+  from public.apply_scrap_rate_sheet(
+    jsonb_build_array(jsonb_build_object('scrap_type_id', a.scrap_type_id, 'rate_per_kg', a.rate_per_kg)),
+    coalesce(a.effective_from, now())
+  );
+
+  update public.scrap_rate_approvals
+  set status = 'approved', decided_by = p_decided_by, decided_at = now(), scrap_rate_id = r.id
+  where id = a.id
+  returning * into a;
+
+  return jsonb_build_object('approval', to_jsonb(a), 'rate', to_jsonb(r));
+end;
+$$;
+
+revoke all on function public.import_scrap_rate_sheet(jsonb, jsonb, uuid, timestamptz) from public, anon, authenticated;
+grant execute on function public.import_scrap_rate_sheet(jsonb, jsonb, uuid, timestamptz) to service_role;
+revoke all on function public.approve_scrap_rate(uuid, uuid) from public, anon, authenticated;
+grant execute on function public.approve_scrap_rate(uuid, uuid) to service_role;
@@ -0,0 +1,14 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Active (ASSIGNED / ON_THE_WAY) pickups per vendor, counted in SQL: one row per vendor instead of
+-- one per pickup, so the count is never cut short by the API's row limit.
+-- Keep the statuses in step with ACTIVE_PICKUP_STATUSES in lib/pickups.js.
+
+create or replace view public.vendor_active_pickups as
+select assigned_vendor_ref as vendor_ref, count(*) as active_pickups
+from public.pickups
+where status in ('ASSIGNED', 'ON_THE_WAY')
+  and assigned_vendor_ref is not null
+group by assigned_vendor_ref;
+
+revoke all on public.vendor_active_pickups from anon, authenticated;
+grant select on public.vendor_active_pickups to service_role;
@@ -0,0 +1,28 @@
+-- Run in the ADMIN AUTH project (admin logins, profiles and roles).
+-- Total for GET /api/admin/users, counted separately from the page so a page past the end still
+-- reports the real total. Same filters as admin_list_users.
+
+create or replace function public.admin_count_users(search text default null, role_filter text default null)
+returns bigint
+language sql
+stable
+security definer
+set search_path = public, auth
+as $$
+  select count(*)
+  from auth.users u
+  left join public.profiles p on p.id = u.id
+  where (
+      search is null
+      or u.email ilike '%' || search || '%'
+      or u.phone ilike '%' || search || '%'
+    )
+    and (
+      role_filter is null
+      or (role_filter = 'none' and p.role is null)
+      or lower(p.role) = lower(role_filter)
+    );
+$$;
+
+revoke all on function public.admin_count_users(text, text) from public, anon, authenticated;
+grant execute on function public.admin_count_users(text, text) to service_role;
@@ -0,0 +1,61 @@
+-- Run in the ADMIN AUTH project (admin logins, profiles and roles).
+-- Role changes write their admin_audit_log entry in the same transaction as the change, so a role
+-- never changes without a record of who changed it. Replaces set_admin_role(uuid, text).
+-- p_audit: an admin_audit_log row without before / entity / entity_id (set here); its `after` is
+-- merged into the new { id, role }.
+
+drop function if exists public.set_admin_role(uuid, text);
+
+create or replace function public.set_admin_role(p_user_id uuid, p_role text, p_audit jsonb)
+returns table (id uuid, role text)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_previous text;
+  v_current text;
+  super_admins bigint;
+  v_id uuid;
+  v_role text;
+begin
+  if p_audit is null or p_audit->>'actor_id' is null or p_audit->>'action' is null then
+    raise exception 'audit entry is required';
+  end if;
+
+  -- One role change at a time, so two demotions cannot both see another super admin left.
+  perform pg_advisory_xact_lock(hashtext('public.set_admin_role'));
+
+  select p.role into v_previous from public.profiles p where p.id = p_user_id;
+  v_current := lower(v_previous);
+
+  if v_current in ('super_admin', 'admin') and coalesce(p_role, '') <> 'super_admin' then
+    select count(*) into super_admins from public.profiles p where lower(p.role) in ('super_admin', 'admin');
+    if super_admins <= 1 then
+      raise exception 'cannot remove the last super admin';
+    end if;
+  end if;
+
+  insert into public.profiles as p (id, role)
+  values (p_user_id, p_role)
+  on conflict (id) do update set role = excluded.role
+  returning p.id, p.role into v_id, v_role;
+
+  insert into public.admin_audit_log (actor_id, actor_role, action, entity, entity_id, before, after, ip, user_agent)
+  values (
+    (p_audit->>'actor_id')::uuid,
+    p_audit->>'actor_role',
+    p_audit->>'action',
+    'profiles',
+    p_user_id::text,
+    jsonb_build_object('role', v_previous),
+    jsonb_build_object('id', v_id, 'role', v_role) || coalesce(p_audit->'after', '{}'::jsonb),
+    p_audit->>'ip',
+    p_audit->>'user_agent'
+  );
+
+  return query select v_id, v_role;
+end;
+$$;
+
+revoke all on function public.set_admin_role(uuid, text, jsonb) from public, anon, authenticated;
+grant execute on function public.set_admin_role(uuid, text, jsonb) to service_role;
@@ -0,0 +1,37 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- When a pickup was first assigned. assigned_at is the current assignment and moves on every
+-- reassignment (and is cleared on release), so "time to assignment" is measured from this column.
+-- A trigger fills it from the first non-null assigned_at, whichever backend makes the assignment.
+
+alter table public.pickups add column if not exists first_assigned_at timestamptz;
+
+create or replace function public.pickups_set_first_assigned_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.first_assigned_at is null and new.assigned_at is not null then
+    new.first_assigned_at = new.assigned_at;
+  end if;
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'pickups_set_first_assigned_at') then
+    create trigger pickups_set_first_assigned_at
+    before insert or update of assigned_at on public.pickups
+    for each row
+    execute procedure public.pickups_set_first_assigned_at();
+  end if;
+end $$;
+
+-- Existing rows: the earliest logged assignment, else the current one.
+update public.pickups p
+set first_assigned_at = coalesce(
+  (select min(a.assigned_at) from public.pickup_assignments a where a.pickup_id = p.id),
+  p.assigned_at
+)
+where p.first_assigned_at is null
+  and (p.assigned_at is not null or exists (select 1 from public.pickup_assignments a where a.pickup_id = p.id));
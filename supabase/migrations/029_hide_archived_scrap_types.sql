@@ -0,0 +1,26 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Archived scrap types disappear from customer-facing lists but stay on historical pickups. The
+-- customer app lists the catalogue from scrap_type_catalogue, which leaves archived types out;
+-- scrap_types itself stays readable so scrap_types(...) embeds on past pickups still resolve.
+-- The admin backend uses the service role and reads scrap_types directly.
+
+alter table public.scrap_types enable row level security;
+
+-- An earlier version of this migration hid archived rows on every read, embeds included.
+drop policy if exists "scrap_types_hide_archived" on public.scrap_types;
+
+drop policy if exists "scrap_types_public_read" on public.scrap_types;
+create policy "scrap_types_public_read"
+on public.scrap_types
+for select
+to anon, authenticated
+using (true);
+
+create or replace view public.scrap_type_catalogue
+with (security_invoker = true)
+as
+select *
+from public.scrap_types
+where archived_at is null;
+
+grant select on public.scrap_type_catalogue to anon, authenticated;
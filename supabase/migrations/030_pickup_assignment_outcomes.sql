@@ -0,0 +1,8 @@
+-- Run in the CUSTOMER project (pickups, scrap types, rates).
+-- Assignments also end when the admin cancels or completes the pickup; those log rows are closed
+-- with outcome 'cancelled' or 'completed' instead of staying open.
+
+alter table public.pickup_assignments drop constraint if exists pickup_assignments_outcome_check;
+alter table public.pickup_assignments
+  add constraint pickup_assignments_outcome_check
+  check (outcome in ('expired', 'reassigned', 'cancelled', 'completed'));
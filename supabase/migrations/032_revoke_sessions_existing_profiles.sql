@@ -0,0 +1,40 @@
+-- Run in the ADMIN AUTH project (admin logins, profiles and roles).
+-- revoke_user_sessions only stamps sessions_revoked_at on an existing profile: it no longer upserts,
+-- which could fail on other NOT NULL profile columns or create a profile for an arbitrary id. An id
+-- unknown to auth.users raises 'user not found'. A user without a profile row still loses every
+-- session; revoked_at comes back null as there is nothing to stamp, and such a user has no admin
+-- role for requireAdmin to accept anyway.
+
+create or replace function public.revoke_user_sessions(p_user_id uuid)
+returns table (revoked_at timestamptz, sessions_revoked integer)
+language plpgsql
+security definer
+set search_path = public, auth
+as $$
+#variable_conflict use_column
+declare
+  v_now timestamptz := now();
+  v_revoked_at timestamptz;
+  v_sessions integer;
+begin
+  if not exists (select 1 from auth.users u where u.id = p_user_id) then
+    raise exception 'user not found' using errcode = 'no_data_found';
+  end if;
+
+  delete from auth.sessions s where s.user_id = p_user_id;
+  get diagnostics v_sessions = row_count;
+
+  -- Refresh tokens from before sessions existed are not removed by the cascade.
+  delete from auth.refresh_tokens t where t.user_id = p_user_id::text;
+
+  update public.profiles p
+  set sessions_revoked_at = v_now
+  where p.id = p_user_id
+  returning p.sessions_revoked_at into v_revoked_at;
+
+  return query select v_revoked_at, v_sessions;
+end;
+$$;
+
+revoke all on function public.revoke_user_sessions(uuid) from public, anon, authenticated;
+grant execute on function public.revoke_user_sessions(uuid) to service_role;
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { csvCell, csvLine, toCsv, parseCsv } = require('../lib/csv');
+
+test('csvCell quotes commas, quotes and newlines', () => {
+  assert.equal(csvCell('plain'), 'plain');
+  assert.equal(csvCell('a,b'), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell('two\nlines'), '"two\nlines"');
+});
+
+test('csvCell writes empty cells for null and keeps numbers and booleans as they are', () => {
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(undefined), '');
+  assert.equal(csvCell(-12.5), '-12.5');
+  assert.equal(csvCell(false), 'false');
+  assert.equal(csvCell(new Date('2024-01-02T03:04:05Z')), '2024-01-02T03:04:05.000Z');
+});
+
+test('csvCell defuses text that spreadsheets would run as a formula', () => {
+  assert.equal(csvCell('=SUM(A1:A9)'), "'=SUM(A1:A9)");
+  assert.equal(csvCell('-2+3'), "'-2+3");
+  assert.equal(csvCell('@cmd'), "'@cmd");
+});
+
+test('parseCsv reads back what toCsv writes', () => {
+  const rows = [{ name: 'Copper, bright', note: 'says "ok"\nthen stops' }, { name: 'Paper', note: '' }];
+  const columns = [
+    { header: 'name', value: (r) => r.name },
+    { header: 'note', value: (r) => r.note },
+  ];
+  assert.deepEqual(
+    parseCsv(toCsv(rows, columns)).map((r) => r.values),
+    [['name', 'note'], ['Copper, bright', 'says "ok"\nthen stops'], ['Paper', '']]
+  );
+});
+
+test('parseCsv skips blank lines, strips a BOM and reports source line numbers', () => {
+  const records = parseCsv('\uFEFFa,b\n\n"x\ny",2\r\nlast,3');
+  assert.deepEqual(records, [
+    { line: 1, values: ['a', 'b'] },
+    { line: 3, values: ['x\ny', '2'] },
+    { line: 5, values: ['last', '3'] },
+  ]);
+});
+
+test('csvLine ends rows with CRLF', () => {
+  assert.equal(csvLine(['a', 1]), 'a,1\r\n');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('decodeCursor reads back what encodeCursor wrote, microseconds included', () => {
+  const row = { created_at: '2024-05-01T10:20:30.123456+00:00', id: '7f1c2d3e-0000-4000-8000-000000000001' };
+  assert.deepEqual(decodeCursor(encodeCursor(row)), { createdAt: row.created_at, id: row.id });
+});
+
+test('decodeCursor accepts Z and offset timestamps', () => {
+  assert.equal(decodeCursor(encode({ createdAt: '2024-05-01T10:20:30Z', id: '42' })).createdAt, '2024-05-01T10:20:30Z');
+  assert.equal(decodeCursor(encode({ createdAt: '2024-05-01T10:20:30.5+0530', id: '42' })).id, '42');
+});
+
+test('decodeCursor refuses timestamps that could rewrite a PostgREST filter', () => {
+  for (const createdAt of [
+    '2024-05-01T10:20:30Z (",id.gt.0)',
+    'May 1 2024 (x")',
+    '2024-05-01',
+    '',
+    null,
+  ]) {
+    assert.equal(decodeCursor(encode({ createdAt, id: '42' })), null, String(createdAt));
+  }
+});
+
+test('decodeCursor refuses ids with filter syntax and tokens that are not cursors', () => {
+  assert.equal(decodeCursor(encode({ createdAt: '2024-05-01T10:20:30Z', id: '1,id.gt.0' })), null);
+  assert.equal(decodeCursor('not-base64-json'), null);
+  assert.equal(decodeCursor(encode(null)), null);
+});
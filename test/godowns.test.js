@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { summarizeGodownFill, rankGodownsForDelivery } = require('../lib/godowns');
+
+const godown = (overrides) => ({
+  id: 'g1',
+  name: 'North',
+  is_active: true,
+  capacity_kg: 1000,
+  alert_threshold_percent: 80,
+  latitude: 28.6,
+  longitude: 77.2,
+  ...overrides,
+});
+
+test('summarizeGodownFill counts only kg stock towards capacity', () => {
+  const fill = summarizeGodownFill(godown(), [
+    { scrap_type_id: 'copper', unit: 'kg', quantity: 300 },
+    { scrap_type_id: 'paper', quantity: '150.5' },
+    { scrap_type_id: 'tv', unit: 'piece', quantity: 40 },
+  ]);
+  assert.equal(fill.stockKg, 450.5);
+  assert.equal(fill.spareKg, 549.5);
+  assert.equal(fill.fillPercent, 45.05);
+  assert.equal(fill.overThreshold, false);
+  assert.deepEqual(
+    fill.byScrapType.map((r) => [r.scrapTypeId, r.fillPercent]),
+    [['copper', 30], ['paper', 15.05], ['tv', null]]
+  );
+});
+
+test('summarizeGodownFill flags a godown at its threshold', () => {
+  const fill = summarizeGodownFill(godown(), [{ scrap_type_id: 'copper', unit: 'kg', quantity: 800 }]);
+  assert.equal(fill.fillPercent, 80);
+  assert.equal(fill.overThreshold, true);
+});
+
+test('summarizeGodownFill has no fill figures without a capacity', () => {
+  const fill = summarizeGodownFill(godown({ capacity_kg: null }), [{ scrap_type_id: 'copper', unit: 'kg', quantity: 800 }]);
+  assert.equal(fill.fillPercent, null);
+  assert.equal(fill.spareKg, null);
+  assert.equal(fill.overThreshold, false);
+});
+
+test('rankGodownsForDelivery suggests active godowns with room, nearest first', () => {
+  const entries = [
+    godown({ id: 'far', latitude: 28.9, longitude: 77.2 }),
+    godown({ id: 'near', latitude: 28.61, longitude: 77.2 }),
+    godown({ id: 'full', latitude: 28.6, longitude: 77.21 }),
+    godown({ id: 'inactive', is_active: false, latitude: 28.6, longitude: 77.2 }),
+    godown({ id: 'no-capacity', capacity_kg: null, latitude: 28.6, longitude: 77.2 }),
+    godown({ id: 'no-coordinates', latitude: null }),
+  ];
+  const stock = { full: [{ scrap_type_id: 'copper', unit: 'kg', quantity: 750 }] };
+  const fills = new Map(entries.map((g) => [g.id, { godown: g, fill: summarizeGodownFill(g, stock[g.id]) }]));
+
+  const ranked = rankGodownsForDelivery(fills, 28.6, 77.2, 100);
+  assert.deepEqual(ranked.map((r) => r.godownId), ['near', 'far']);
+  assert.equal(ranked[0].fillAfterPercent, 10);
+  assert.ok(ranked[0].distanceKm < ranked[1].distanceKm);
+});
+
+test('rankGodownsForDelivery needs pickup coordinates', () => {
+  const g = godown();
+  const fills = new Map([[g.id, { godown: g, fill: summarizeGodownFill(g, []) }]]);
+  assert.deepEqual(rankGodownsForDelivery(fills, null, 77.2, 10), []);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  normalizeRole,
+  permissionsForRole,
+  roleHasPermission,
+  isAdminLevelRole,
+} = require('../lib/permissions');
+
+test('normalizeRole maps the legacy admin role and ignores case and spaces', () => {
+  assert.equal(normalizeRole('admin'), 'super_admin');
+  assert.equal(normalizeRole(' Finance '), 'finance');
+  assert.equal(normalizeRole('SUPPORT'), 'support');
+});
+
+test('normalizeRole grants nothing to customer or unknown roles', () => {
+  for (const role of ['customer', 'vendor', '', null, undefined, 'super admin']) {
+    assert.equal(normalizeRole(role), null, String(role));
+    assert.deepEqual(permissionsForRole(role), []);
+  }
+});
+
+test('every role only holds known permissions and super_admin holds them all', () => {
+  for (const role of ADMIN_ROLES) {
+    for (const p of ROLE_PERMISSIONS[role]) assert.ok(PERMISSIONS.includes(p), `${role}: ${p}`);
+  }
+  assert.deepEqual(permissionsForRole('super_admin'), PERMISSIONS);
+});
+
+test('permissionsForRole returns a copy callers cannot use to widen a role', () => {
+  permissionsForRole('support').push('users.manage');
+  assert.equal(roleHasPermission('support', 'users.manage'), false);
+});
+
+test('only roles that manage users are admin-level', () => {
+  assert.deepEqual(ADMIN_ROLES.filter(isAdminLevelRole), ['super_admin']);
+  assert.equal(isAdminLevelRole('admin'), true);
+  assert.equal(roleHasPermission('finance', 'rates.approve'), true);
+  assert.equal(roleHasPermission('ops', 'rates.approve'), false);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PICKUP_TRANSITIONS, canTransitionPickup } = require('../lib/pickups');
+
+test('canTransitionPickup allows the admin lifecycle', () => {
+  assert.ok(canTransitionPickup('PENDING', 'ASSIGNED'));
+  assert.ok(canTransitionPickup('ASSIGNED', 'ASSIGNED'));
+  assert.ok(canTransitionPickup('ASSIGNED', 'PENDING'));
+  assert.ok(canTransitionPickup('ON_THE_WAY', 'ASSIGNED'));
+  assert.ok(canTransitionPickup('ON_THE_WAY', 'COMPLETED'));
+  for (const from of ['PENDING', 'ASSIGNED', 'ON_THE_WAY']) assert.ok(canTransitionPickup(from, 'CANCELLED'), from);
+});
+
+test('canTransitionPickup refuses leaving a final status and skipping steps', () => {
+  for (const to of Object.keys(PICKUP_TRANSITIONS)) {
+    assert.equal(canTransitionPickup('COMPLETED', to), false, `COMPLETED -> ${to}`);
+    assert.equal(canTransitionPickup('CANCELLED', to), false, `CANCELLED -> ${to}`);
+  }
+  assert.equal(canTransitionPickup('PENDING', 'COMPLETED'), false);
+  assert.equal(canTransitionPickup('ASSIGNED', 'COMPLETED'), false);
+});
+
+test('canTransitionPickup reads the current status case-insensitively and refuses unknown ones', () => {
+  assert.ok(canTransitionPickup('pending', 'ASSIGNED'));
+  assert.equal(canTransitionPickup('ARCHIVED', 'PENDING'), false);
+  assert.equal(canTransitionPickup(null, 'ASSIGNED'), false);
+});
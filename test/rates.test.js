@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rateInForceAt } = require('../lib/rates');
+
+const TYPE = 'type-1';
+
+test('rateInForceAt picks the latest rate that started on or before the time', () => {
+  const history = new Map([
+    [
+      TYPE,
+      [
+        { id: 'a', effective_from: '2024-01-01T00:00:00Z' },
+        { id: 'b', effective_from: '2024-03-01T00:00:00Z' },
+        { id: 'c', effective_from: '2024-06-01T00:00:00Z' },
+      ],
+    ],
+  ]);
+  assert.equal(rateInForceAt(history, TYPE, '2024-04-15T00:00:00Z').id, 'b');
+  assert.equal(rateInForceAt(history, TYPE, '2024-03-01T00:00:00Z').id, 'b');
+  assert.equal(rateInForceAt(history, TYPE, '2023-12-31T00:00:00Z'), null);
+});
+
+test('rateInForceAt treats an undated rate as in force from the start, not as the newest', () => {
+  const dated = [
+    { id: 'b', effective_from: '2024-03-01T00:00:00Z' },
+    { id: 'c', effective_from: '2024-06-01T00:00:00Z' },
+  ];
+  const undated = { id: 'legacy', effective_from: null };
+
+  for (const rows of [[undated, ...dated], [...dated, undated]]) {
+    const history = new Map([[TYPE, rows]]);
+    assert.equal(rateInForceAt(history, TYPE, '2024-01-15T00:00:00Z').id, 'legacy');
+    assert.equal(rateInForceAt(history, TYPE, '2024-07-01T00:00:00Z').id, 'c');
+  }
+});
+
+test('rateInForceAt returns null for a scrap type without history', () => {
+  assert.equal(rateInForceAt(new Map(), TYPE, new Date()), null);
+});